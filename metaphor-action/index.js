@@ -1,29 +1,11 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const greetingContributor = require('./scripts/greetingContributor');
-const storyGenerator = require('./scripts/storyGenerator');
+const dispatch = require('./scripts/dispatcher');
 
 (async () => {
   try {
     const githubToken = core.getInput('github-token', { required: true });
-    const issueMessage = core.getInput('issue-message');
-    const prMessage = core.getInput('pr-message');
-    const footer = core.getInput('footer');
-    const client = github.getOctokit(githubToken);
-    const context = github.context;
-
-    switch (context.payload.action) {
-      case 'closed':
-        await storyGenerator(client, context)
-        break;
-      case 'opened':
-        await greetingContributor(client, context, issueMessage, prMessage, footer)
-        break;
-      default:
-        console.log('No action, skipping');
-        core.notice('No action, skipping!');
-        break;
-    }
+    await dispatch(github.getOctokit(githubToken), github.context);
   } catch (error) {
     core.setFailed(error.message);
   }
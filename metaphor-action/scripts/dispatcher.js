@@ -0,0 +1,113 @@
+const core = require('@actions/core');
+const greetingContributor = require('./greetingContributor');
+const storyGenerator = require('./storyGenerator');
+const storyUpdater = require('./storyUpdater');
+const storyUnpublisher = require('./storyUnpublisher');
+const storyBackfill = require('./storyBackfill');
+const storyFinalizer = require('./storyFinalizer');
+const { loadConfig, loadDryRun } = require('./utils/config');
+const { createRecorder, writeDryRunSummary } = require('./utils/dryRun');
+
+// The handlers of issue and pull request events that need the story configuration, by event action
+const STORY_HANDLERS = {
+  closed: storyGenerator,
+  edited: storyUpdater,
+  reopened: storyUnpublisher,
+  unlabeled: storyUnpublisher,
+};
+
+/**
+ * Reads the action inputs and runs the handler of the event: backfills on `workflow_dispatch` and `schedule`,
+ * the finalizer of story pull requests when a pull request is closed, and the story and greeting handlers on
+ * other issue and pull request events. Greetings only read the `dry-run` setting of the configuration file and
+ * ignore a broken one, so it never stops contributors from being greeted.
+ * @async
+ * @function dispatch
+ * @param {Object} octokit - The authenticated Octokit client.
+ * @param {Object} context - The context of the workflow run, as built by `@actions/github`.
+ * @returns {Promise<void>} A Promise that resolves when the handler has finished.
+ */
+module.exports = async (octokit, context) => {
+  const issueMessage = core.getInput('issue-message');
+  const prMessage = core.getInput('pr-message');
+  const footer = core.getInput('footer');
+  const reviewers = core.getInput('reviewers');
+  const templatePath = core.getInput('template-path');
+  const slugCollision = core.getInput('slug-collision');
+  const slugMaxLength = core.getInput('slug-max-length');
+  const slugHash = core.getInput('slug-hash');
+  const unpublishMode = core.getInput('unpublish-mode');
+  const publishMode = core.getInput('publish-mode');
+  const autoMerge = core.getInput('auto-merge');
+  const targetBranch = core.getInput('target-branch');
+  const storiesRoot = core.getInput('stories-root');
+  const pathPattern = core.getInput('path-pattern');
+  const authorProfile = core.getInput('author-profile');
+  const enrichAuthor = core.getInput('enrich-author');
+  const rehostImages = core.getInput('rehost-images');
+  const imageMaxSize = core.getInput('image-max-size');
+  const imageTypes = core.getInput('image-types');
+  const feeds = core.getInput('feeds');
+  const siteUrl = core.getInput('site-url');
+  const storyUrl = core.getInput('story-url');
+  const backfillLimit = core.getInput('backfill-limit');
+  const dryRun = core.getInput('dry-run');
+  const skipComment = core.getInput('skip-comment');
+
+  let storyHandler = STORY_HANDLERS[context.payload.action];
+  if (['workflow_dispatch', 'schedule'].includes(context.eventName)) {
+    storyHandler = storyBackfill;
+  } else if (context.payload.pull_request && context.payload.action === 'closed') {
+    storyHandler = storyFinalizer;
+  }
+  if (!storyHandler && context.payload.action !== 'opened') {
+    console.log('No action, skipping');
+    core.notice('No action, skipping!');
+    return;
+  }
+
+  // Greetings only need their messages and the `dry-run` setting
+  let config;
+  if (!storyHandler) {
+    config = { dryRun: await loadDryRun(octokit, context, dryRun) };
+  } else {
+    config = await loadConfig(octokit, context, {
+      reviewers,
+      templatePath,
+      slugCollision,
+      slugMaxLength,
+      slugHash,
+      unpublishMode,
+      publishMode,
+      autoMerge,
+      targetBranch,
+      storiesRoot,
+      pathPattern,
+      authorProfile,
+      enrichAuthor,
+      rehostImages,
+      imageMaxSize,
+      imageTypes,
+      feeds,
+      siteUrl,
+      storyUrl,
+      backfillLimit,
+      dryRun,
+      skipComment,
+    });
+  }
+
+  // A dry run reads from GitHub but only records the writes
+  const recorder = config.dryRun ? createRecorder(octokit) : null;
+  const client = recorder ? recorder.client : octokit;
+
+  if (storyHandler) {
+    await storyHandler(client, context, config)
+  } else {
+    await greetingContributor(client, context, issueMessage, prMessage, footer)
+  }
+
+  if (recorder) {
+    await writeDryRunSummary(recorder.writes);
+  }
+}
@@ -18,20 +18,22 @@ module.exports = async (client, context, issueMessage, prMessage, footer) => {
         const footerTags = `<p>${footer}</p>`;
 
         if (!!context.payload.issue) {
-            await client.rest.issues.createComment({
+            const comment = await client.rest.issues.createComment({
                 owner: context.issue.owner,
                 repo: context.issue.repo,
                 issue_number: context.issue.number,
                 body: issueMessage + footerTags
             });
+            core.setOutput('greeting-comment-id', comment.data.id);
         } else {
-            await client.rest.pulls.createReview({
+            const review = await client.rest.pulls.createReview({
                 owner: context.issue.owner,
                 repo: context.issue.repo,
                 pull_number: context.issue.number,
                 body: prMessage + footerTags,
                 event: 'COMMENT'
             });
+            core.setOutput('greeting-comment-id', review.data.id);
         }
     } catch (error) {
         core.setFailed(error.message);
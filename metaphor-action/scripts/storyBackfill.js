@@ -0,0 +1,104 @@
+const core = require('@actions/core');
+const storyGenerator = require('./storyGenerator');
+const { escapeHtml } = require('./utils/summary');
+
+/**
+ * Pages through the closed story issues that were never published, oldest first. Issues whose story waits in an
+ * open pull request (`publishing`) or was taken down by a maintainer (`unpublished`) are left alone.
+ * @async
+ * @generator
+ * @function unpublishedIssues
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @yields {Object} The issues, fetched a page at a time.
+ */
+async function* unpublishedIssues(client, owner, repo) {
+  const pages = client.paginate.iterator(client.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'closed',
+    labels: 'metaphore',
+    sort: 'created',
+    direction: 'asc',
+    per_page: 100,
+  })
+
+  for await (const page of pages) {
+    for (const issue of page.data) {
+      if (!issue.pull_request && !issue.labels.some(label => ['published', 'publishing', 'unpublished'].includes(label.name))) {
+        yield issue
+      }
+    }
+  }
+}
+
+/**
+ * Writes the overview of a backfill run to the job summary, after the summaries of the issues it processed.
+ * A summary that cannot be written only logs a warning.
+ * @async
+ * @function writeBackfillSummary
+ * @param {Array<Object>} issues - The issues processed, with their `published` outcome.
+ * @param {number} published - The number of stories published.
+ * @returns {Promise<void>} A Promise that resolves when the summary has been written.
+ */
+async function writeBackfillSummary(issues, published) {
+  try {
+    core.summary
+      .addHeading('Backfill', 2)
+      .addRaw(`${published} of ${issues.length} story issue(s) published.`, true)
+      .addTable([
+        [{ data: 'Issue', header: true }, { data: 'Title', header: true }, { data: 'Result', header: true }],
+        ...issues.map(issue => [
+          `<a href="${issue.html_url}">#${issue.number}</a>`,
+          escapeHtml(issue.title),
+          issue.published ? 'published' : 'not published, see its summary above',
+        ]),
+      ]);
+    await core.summary.write();
+  } catch (error) {
+    core.summary.emptyBuffer();
+    core.warning(`Unable to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = async (client, context, config) => {
+  try {
+    const { owner, repo } = context.repo
+    console.log(`Backfilling closed story issues, publishing at most ${config.backfillLimit} per run`)
+
+    const processed = []
+    let published = 0
+    // Skipped issues do not count towards the limit, so they cannot hold back the issues after them
+    for await (const issue of unpublishedIssues(client, owner, repo)) {
+      if (published === config.backfillLimit) {
+        console.log(`Reached the limit of ${config.backfillLimit} stories, #${issue.number} and later issues are left for the next run`)
+        break
+      }
+
+      // The same pipeline as a `closed` event, as if the issue had just been closed
+      const issueContext = {
+        ...context,
+        repo: { owner, repo },
+        issue: { owner, repo, number: issue.number },
+        payload: { ...context.payload, action: 'closed', issue },
+      }
+      const result = await storyGenerator(client, issueContext, config)
+      if (result) {
+        published++
+      }
+      processed.push({ ...issue, published: result })
+    }
+
+    if (processed.length === 0) {
+      console.log('Every closed story issue is published, nothing to backfill')
+      return 0
+    }
+    console.log(`${published} of ${processed.length} story issue(s) published`)
+    await writeBackfillSummary(processed, published)
+    return published
+  } catch (error) {
+    core.setFailed(error.message)
+    return 0
+  }
+}
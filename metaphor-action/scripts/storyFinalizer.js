@@ -0,0 +1,103 @@
+const core = require('@actions/core');
+const { markedIssue } = require('./utils/pullRequest');
+const { writeStorySummary } = require('./utils/summary');
+const reportSkip = require('./utils/reportSkip');
+
+/**
+ * Removes a label from an issue, ignoring issues that do not have it.
+ *
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {number} issue_number - The number of the issue.
+ * @param {string} name - The label to remove.
+ * @returns {Promise<void>} A Promise that resolves when the label has been removed.
+ */
+async function removeLabel(client, owner, repo, issue_number, name) {
+  try {
+    await client.rest.issues.removeLabel({
+      owner,
+      repo,
+      issue_number,
+      name
+    })
+    console.log(`Label removed: ${name}`)
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error
+    }
+  }
+}
+
+/**
+ * Completes the publication of a story proposed in a pull request, once that pull request is closed. A merged pull
+ * request turns the `publishing` label of its issue into `published`; a pull request closed without merging only
+ * removes `publishing`, so closing the issue again proposes the story anew.
+ * @async
+ * @function storyFinalizer
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context of a `pull_request` `closed` event.
+ * @param {Object} config - The action configuration.
+ * @returns {Promise<boolean>} A Promise that resolves with true when the story of the issue is now published.
+ */
+module.exports = async (client, context, config) => {
+  const report = { heading: 'Story not finalized', decisions: [], rows: [] }
+  const pullRequest = context.payload.pull_request
+  const skip = (reason, details) => reportSkip(report, {
+    heading: 'Story not finalized',
+    subject: `Pull request #${pullRequest.number} did not change a story`,
+    reason,
+    details,
+  })
+  try {
+    const issueNumber = markedIssue(pullRequest.body)
+    if (!issueNumber) {
+      return skip('not-a-story-pull-request', 'it was not opened by the action')
+    }
+    report.decisions.push({ passed: true, text: `Proposes the story of #${issueNumber}` })
+
+    const owner = context.repo.owner
+    const repo = context.repo.repo
+    const issue = await client.rest.issues.get({ owner, repo, issue_number: issueNumber })
+    report.issue = issue.data
+    if (!issue.data.labels.some(label => label.name === 'publishing')) {
+      return skip('not-publishing', `issue #${issueNumber} is not labelled \`publishing\``)
+    }
+
+    await removeLabel(client, owner, repo, issueNumber, 'publishing')
+    if (!pullRequest.merged) {
+      await client.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body: `${pullRequest.html_url} was closed without being merged, so this story is not published. Reopen and close the issue to propose it again.`
+      })
+      core.setOutput('published', false)
+      core.setOutput('skip-reason', 'pull-request-closed')
+      report.heading = 'Story proposal closed'
+      report.decisions.push({ passed: false, text: 'The pull request was closed without being merged' })
+      report.rows.push(['Labels removed', 'publishing'])
+      return false
+    }
+
+    await client.rest.issues.addLabels({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      labels: ['published']
+    })
+    console.log('Label added: published')
+    core.setOutput('published', true)
+    report.heading = 'Story published'
+    report.decisions.push({ passed: true, text: `Merged into ${pullRequest.base.ref}` })
+    report.rows.push(['Labels applied', 'published'], ['Labels removed', 'publishing'])
+    return true
+  } catch (error) {
+    core.setFailed(error.message)
+    report.heading = 'Story finalization failed'
+    report.decisions.push({ passed: false, text: error.message })
+    return false
+  } finally {
+    await writeStorySummary(report)
+  }
+}
@@ -1,54 +1,41 @@
-const slugify = require('./utils/slugify');
-const { ghBotUsername, ghBotEmail } = require('./utils/git');
+const core = require('@actions/core');
+const resolveReviewers = require('./utils/reviewers');
+const { resolveCategory } = require('./utils/categories');
+const { loadTemplate } = require('./utils/template');
+const { prepareStory } = require('./utils/story');
+const { rehostImages } = require('./utils/images');
+const { resolveStoryPath, storyBranch } = require('./utils/storyPath');
+const { manifestEntry, updateManifests } = require('./utils/manifest');
+const { storyUrl } = require('./utils/feeds');
+const { parseFrontMatter } = require('./utils/frontMatter');
+const { escapeHtml, fileLink, writeStorySummary } = require('./utils/summary');
+const reportSkip = require('./utils/reportSkip');
+const { commitFiles } = require('./utils/git');
+const publishPullRequest = require('./utils/pullRequest');
 
 /**
- * Creates a new metaphor file in the specified category, based on the provided issue data and context.
+ * Resolves where the story of an issue is written, applying the slug collision strategy, and pairs the path with
+ * the rendered document. Nothing is written: the file goes into the commit that also holds its images and manifests.
  * @async
- * @function createMetaphorFile
- * @param {Object} client - The client object containing information about the GitHub repository and issue, including owner, repo, and issue number.
- * @param {Object} issueData - The issue data object containing information about the issue, including title, user, created date, and body content.
+ * @function resolveStoryFile
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} issueData - The issue data object of the story.
  * @param {Object} context - The context object containing information about the GitHub repository and issue, including owner, repo, and issue number.
- * @param {string} category - The category of the metaphor file to create.
- * @returns {Promise} A Promise that resolves when the metaphor file has been created in the GitHub repository.
+ * @param {Object} category - The category of the story, as declared in the category registry.
+ * @param {string} document - The rendered story document.
+ * @param {Object} config - The action configuration, providing the path and slug options.
+ * @returns {Promise<{ path: string, slug: string, content: string, ref: string|undefined }>} A Promise that resolves with the story file to commit and the branch its path was checked on.
  */
-async function createMetaphorFile(client, issueData, context, category) {
-  const metaphorTitle = slugify(issueData.title);
-
-  const template = `---
-layout: post
-title: "{title}"
-author: "{author}"
-created_at: {created_at}
-language: {language}
----
-
-{content}`;
-
-  const placeholders = ['{title}', '{author}', '{created_at}', '{language}', '{content}'];
-  const values = [
-    issueData.title,
-    issueData.user.login,
-    issueData.created_at,
-    category,
-    issueData.body,
-  ];
-
-  const replacedTemplate = placeholders.reduce((template, placeholder, index) => {
-    return template.replace(new RegExp(placeholder, 'g'), values[index]);
-  }, template);
-  console.log('Replacement result: ' + JSON.stringify(replacedTemplate, undefined, 2))
-
-  const metaphorContent = Buffer.from(replacedTemplate).toString('base64');
-  const createContent = await createFileContent({
-    client: client,
+async function resolveStoryFile(client, issueData, context, category, document, config) {
+  const { path, slug, ref } = await resolveStoryPath(client, {
     owner: context.issue.owner,
     repo: context.issue.repo,
-    path: `public/collections/stories/${category}/${metaphorTitle}.md`,
-    message: `docs(generate): new metaphor from @${issueData.user.login}`,
-    content: metaphorContent,
+    config,
+    category,
+    issueData,
   });
 
-  console.log(`Content Metadata: ${JSON.stringify(createContent, undefined, 2)}`);
+  return { path, slug, content: document, ref };
 }
 
 /**
@@ -71,77 +58,175 @@ async function addLabelToClosedIssue(client, owner, repo, issue_number, labels)
   console.log(`Label added: ${labels.join(', ')}`)
 }
 
+// What the author can do about each skip reason, for the optional comment on the issue
+const SKIP_HINTS = {
+  'no-reviewer': 'A maintainer needs to assign an approved reviewer to the issue before closing it.',
+  'not-closed': 'The story is published once the issue is closed.',
+  'already-published': '',
+  'no-category-label': 'Label the issue with `metaphore` and the label of exactly one story category, then ask a maintainer to close it again.',
+  'multiple-categories': 'Keep the label of a single story category, then ask a maintainer to close the issue again.',
+}
+
 /**
- * Creates or updates a file in a GitHub repository with the specified content.
- * @async
- * @function createFileContent
- * @param {Object} options - An object containing options for the file creation/update operation.
- * @param {string} options.owner - The owner of the GitHub repository.
- * @param {string} options.repo - The name of the GitHub repository.
- * @param {string} options.path - The path to the file in the repository.
- * @param {string} options.message - The commit message to use for the file update/creation.
- * @param {string} options.content - The content of the file to create/update, encoded in base64.
- * @returns {Promise<Object>} A Promise that resolves with the metadata for the created/updated file.
+ * Reports a story that was not published: an annotation, the `published` and `skip-reason` outputs, the decision
+ * in the job summary and, when `skip-comment` is enabled, a comment telling the author what happened. Comments are
+ * only posted on `issues` events, so backfills retrying the same issue do not repeat them.
+ *
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context object containing information about the GitHub repository and issue.
+ * @param {Object} config - The action configuration.
+ * @param {Object} report - The job summary report of the run.
+ * @param {string} reason - Why the story was skipped, one of the keys of `SKIP_HINTS`.
+ * @param {string} details - The explanation, completing "The story was not published because ...".
+ * @returns {Promise<boolean>} A Promise that resolves with false, for the handler to return.
  */
-async function createFileContent({ client, owner, repo, path, message, content }) {
-  return await client.rest.repos.createOrUpdateFileContents({
-    owner,
-    repo,
-    path,
-    message,
-    content,
-    committer: {
-      name: ghBotUsername,
-      email: ghBotEmail
-    },
-    author: {
-      name: ghBotUsername,
-      email: ghBotEmail
+async function skipStory(client, context, config, report, reason, details) {
+  reportSkip(report, { heading: 'Story skipped', subject: `Issue #${context.issue.number} was not published`, reason, details })
+  core.setOutput('published', false)
+
+  if (config.skipComment && context.eventName === 'issues' && reason !== 'already-published') {
+    try {
+      await client.rest.issues.createComment({
+        owner: context.issue.owner,
+        repo: context.issue.repo,
+        issue_number: context.issue.number,
+        body: `@${report.issue.user.login}, your story was not published because ${details}. ${SKIP_HINTS[reason]}`.trim()
+      })
+    } catch (error) {
+      core.warning(`Unable to comment on issue #${context.issue.number}: ${error.message}`)
     }
-  });
+  }
+  return false
 }
 
-module.exports = async (client, context) => {
+module.exports = async (client, context, config) => {
+  const report = { heading: 'Story not published', decisions: [], rows: [] }
   try {
     const issue = await client.rest.issues.get({
       owner: context.issue.owner,
       repo: context.issue.repo,
       issue_number: context.issue.number,
     })
+    report.issue = issue.data
 
     const assignees = issue.data.assignees
-    const isReviewerPresence = assignees.some(assignee => ['darkterminal', 'mkubdev'].includes(assignee.login))
-    if (issue.data.state === 'closed' && isReviewerPresence) {
-      const labels = issue.data.labels.map(label => label.name)
-
-      const metaphors = [
-        ['linux', 'linux'],
-        ['cpp', 'cpp'],
-        ['css', 'css'],
-        ['golang', 'golang'],
-        ['javascript', 'javascript'],
-        ['java', 'java'],
-        ['maths', 'maths'],
-        ['python', 'python'],
-        ['php', 'php'],
-        ['physics', 'physics'],
-        ['ruby', 'ruby'],
-        ['rust', 'rust'],
-        ['zig', 'zig']
-      ]
-
-      const isMetaphor = metaphors.some(([category, label]) => labels.every(l => ['metaphore', category].includes(l)))
-
-      if (isMetaphor) {
-        const [category, label] = metaphors.find(([category, label]) => labels.every(l => ['metaphore', category].includes(l)))
-        console.log(`Is ${category} metaphor`)
-        createMetaphorFile(client, issue.data, context, label)
-      }
+    const approvedReviewers = await resolveReviewers(client, config.reviewers)
+    const reviewer = assignees.find(assignee => approvedReviewers.includes(assignee.login.toLowerCase()))
+    if (!reviewer) {
+      const details = assignees.length > 0
+        ? `none of its assignees (${assignees.map(assignee => `@${assignee.login}`).join(', ')}) is an approved reviewer (${config.reviewers.join(', ')})`
+        : `it is not assigned to an approved reviewer (${config.reviewers.join(', ')})`
+      return skipStory(client, context, config, report, 'no-reviewer', details)
+    }
+    report.decisions.push({ passed: true, text: `Assigned to @${reviewer.login}, an approved reviewer` })
+
+    if (issue.data.state !== 'closed') {
+      return skipStory(client, context, config, report, 'not-closed', 'the issue is still open')
+    }
+    report.decisions.push({ passed: true, text: 'The issue is closed' })
 
-      addLabelToClosedIssue(client, context.issue.owner, context.issue.repo, context.issue.number, [...labels, 'published'])
+    const owner = context.issue.owner
+    const repo = context.issue.repo
+    const labels = issue.data.labels.map(label => label.name)
+    if (labels.includes('published')) {
+      return skipStory(client, context, config, report, 'already-published', 'the issue is already labelled `published`')
     }
+    report.decisions.push({ passed: true, text: 'The story is not published yet' })
+
+    const { category, reason, details } = resolveCategory(config.categories, labels)
+    if (!category) {
+      return skipStory(client, context, config, report, reason, details)
+    }
+    report.decisions.push({ passed: true, text: `Labels match the ${category.displayName} category` })
+    report.rows.push(['Category', escapeHtml(category.displayName)])
+
+    const template = await loadTemplate(client, context, config.templatePath)
+    const { document, files: authorFiles } = await prepareStory(client, {
+      owner,
+      repo,
+      config,
+      issueData: issue.data,
+      category,
+      reviewer,
+      template,
+    })
+    const story = await resolveStoryFile(client, issue.data, context, category, document, config)
+    const images = config.rehostImages
+      ? await rehostImages(client, { owner, repo, config, document: story.content, storyPath: story.path })
+      : { document: story.content, files: [] }
+    const entry = manifestEntry({ issueData: issue.data, category, path: story.path, slug: story.slug, document: images.document })
+    const manifestFiles = await updateManifests(client, { owner, repo, config, issue: context.issue.number, entry, ref: story.ref })
+
+    const message = `docs(generate): new ${category.displayName} metaphor from @${issue.data.user.login}`
+    const files = [{ path: story.path, content: images.document }, ...images.files, ...authorFiles, ...manifestFiles]
+    let commit
+    // Stories proposed in a pull request are only `publishing` until the pull request is merged
+    let label = 'published'
+
+    if (config.publishMode === 'pull-request') {
+      const base = config.targetBranch || (await client.rest.repos.get({ owner, repo })).data.default_branch
+      const branch = storyBranch(story.slug)
+      commit = await publishPullRequest({
+        client,
+        owner,
+        repo,
+        base,
+        branch,
+        message,
+        files,
+        title: message,
+        body: `Publishes the ${category.displayName} story of #${context.issue.number} by @${issue.data.user.login} to \`${story.path}\`.\n\n${publishPullRequest.issueMarker(context.issue.number)}`,
+        autoMerge: config.autoMerge,
+      })
+      await client.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: context.issue.number,
+        body: `Your story is on its way! It will be published once ${commit.url} is merged.`
+      })
+      report.decisions.push({ passed: true, text: `Proposed in pull request #${commit.number}` })
+      label = 'publishing'
+      report.rows.push(['File', fileLink(owner, repo, branch, story.path)])
+    } else {
+      commit = await commitFiles({ client, owner, repo, branch: config.targetBranch, message, files })
+      report.decisions.push({ passed: true, text: `Committed to ${commit.branch} as ${commit.sha.slice(0, 7)}` })
+      report.rows.push(['File', fileLink(owner, repo, commit.branch, story.path)])
+    }
+    report.frontMatter = parseFrontMatter(images.document).data
+    core.setOutput('published', true)
+    core.setOutput('story-path', story.path)
+    core.setOutput('story-url', storyUrl(config, owner, repo, entry))
+    core.setOutput('category', category.name)
+    core.setOutput('slug', story.slug)
+    core.setOutput('commit-sha', commit.sha)
+    core.setOutput('story', images.document)
+
+    // The story is out at this point: a failed label is reported, not failed, and the next closed event or
+    // backfill finds the story of the issue at the same path and labels it
+    try {
+      await addLabelToClosedIssue(client, owner, repo, context.issue.number, [...labels.filter(name => name !== 'unpublished'), label])
+      if (labels.includes('unpublished')) {
+        await client.rest.issues.removeLabel({ owner, repo, issue_number: context.issue.number, name: 'unpublished' })
+        console.log('Label removed: unpublished')
+      }
+    } catch (error) {
+      core.warning(`Story committed as ${commit.sha}, but labelling issue #${context.issue.number} failed: ${error.message}. Closing the issue again or the next backfill will label it.`, {
+        title: 'Story published without label'
+      })
+      report.heading = 'Story published, label missing'
+      report.decisions.push({ passed: false, text: `Labelling failed: ${error.message}` })
+      return true
+    }
+    report.heading = label === 'published' ? 'Story published' : 'Story proposed'
+    report.rows.push(['Labels applied', label])
+
+    return true
   } catch (error) {
-    console.log(`Error on storyGenerator: ${error}`)
+    core.setFailed(error.message)
+    report.heading = 'Story publication failed'
+    report.decisions.push({ passed: false, text: error.message })
     return false
+  } finally {
+    await writeStorySummary(report)
   }
 }
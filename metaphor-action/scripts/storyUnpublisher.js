@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+const { resolveCategory } = require('./utils/categories');
+const { findStoryFile, storyBranch } = require('./utils/storyPath');
+const { updateManifests } = require('./utils/manifest');
+const { commitFiles } = require('./utils/git');
+const publishPullRequest = require('./utils/pullRequest');
+const { escapeHtml, fileLink, writeStorySummary } = require('./utils/summary');
+const reportSkip = require('./utils/reportSkip');
+
+/**
+ * Lists the files re-hosted next to a story, in the directory named after its slug.
+ *
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {string} storyPath - The path of the story file.
+ * @param {string} [ref] - The branch holding the story.
+ * @returns {Promise<Array<Object>>} A Promise that resolves with the `path` and blob `sha` of every asset.
+ */
+async function listStoryAssets(client, owner, repo, storyPath, ref) {
+  try {
+    const response = await client.rest.repos.getContent({ owner, repo, path: storyPath.replace(/\.[^./]+$/, ''), ref })
+    return Array.isArray(response.data)
+      ? response.data.filter(entry => entry.type === 'file').map(entry => ({ path: entry.path, sha: entry.sha }))
+      : []
+  } catch (error) {
+    if (error.status === 404) {
+      return []
+    }
+    throw error
+  }
+}
+
+/**
+ * Removes the `published` label from an issue, ignoring issues that do not have it.
+ *
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {string} owner - The owner of the repository.
+ * @param {string} repo - The name of the repository.
+ * @param {number} issue_number - The number of the issue.
+ * @returns {Promise<void>} A Promise that resolves when the label has been removed.
+ */
+async function removePublishedLabel(client, owner, repo, issue_number) {
+  try {
+    await client.rest.issues.removeLabel({
+      owner,
+      repo,
+      issue_number,
+      name: 'published'
+    })
+    console.log('Label removed: published')
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error
+    }
+  }
+}
+
+module.exports = async (client, context, config) => {
+  const report = { heading: 'Story not unpublished', issue: context.payload.issue, decisions: [], rows: [] }
+  const skip = (reason, details) => reportSkip(report, {
+    heading: 'Story not unpublished',
+    subject: `The story of #${context.issue.number} was not unpublished`,
+    reason,
+    details,
+  })
+  try {
+    if (!context.payload.issue) {
+      return skip('not-an-issue', `the ${context.payload.action} item is a pull request`)
+    }
+
+    const action = context.payload.action
+    const labels = context.payload.issue.labels.map(label => label.name)
+    if (action === 'reopened' && !labels.includes('published')) {
+      return skip('not-published', 'the reopened issue is not labelled `published`')
+    }
+    if (action === 'unlabeled' && context.payload.label.name !== 'published') {
+      return skip('other-label', `removing the \`${context.payload.label.name}\` label does not unpublish stories`)
+    }
+    report.decisions.push({ passed: true, text: action === 'reopened' ? 'The published issue was reopened' : 'The published label was removed' })
+
+    const resolved = resolveCategory(config.categories, labels)
+    if (!resolved.category) {
+      return skip(resolved.reason, resolved.details)
+    }
+    const category = resolved.category
+    const story = await findStoryFile(client, {
+      owner: context.issue.owner,
+      repo: context.issue.repo,
+      config,
+      category,
+      issueData: context.payload.issue,
+    })
+    if (!story) {
+      return skip('no-story-file', `no story file in ${config.storiesRoot} belongs to it`)
+    }
+    report.decisions.push({ passed: true, text: `Story found at ${story.path}` })
+    report.rows.push(['Category', escapeHtml(category.displayName)])
+
+    const owner = context.issue.owner
+    const repo = context.issue.repo
+    const reason = action === 'reopened' ? 'the issue was reopened' : 'the `published` label was removed'
+    const assets = await listStoryAssets(client, owner, repo, story.path, config.targetBranch || undefined)
+    const files = [story, ...assets].map(file => ({ path: file.path, delete: true }))
+    const proposed = config.publishMode === 'pull-request'
+    const done = proposed ? 'will be' : 'was'
+    let outcome = `The story file \`${story.path}\` ${done} deleted.`
+    let archivePath = null
+
+    if (config.unpublishMode === 'archive') {
+      const root = config.storiesRoot ? `${config.storiesRoot}/` : ''
+      const archived = path => `${root}archived/${path.startsWith(root) ? path.slice(root.length) : path}`
+      archivePath = archived(story.path)
+      files.push({ path: archivePath, content: story.content })
+      assets.forEach(asset => files.push({ path: archived(asset.path), sha: asset.sha }))
+      outcome = `The story file \`${story.path}\` ${done} moved to \`${archivePath}\`.`
+    }
+    files.push(...await updateManifests(client, { owner, repo, config, issue: context.issue.number, entry: null }))
+
+    const message = `docs(generate): unpublish metaphor of #${context.issue.number}`
+    let branch
+    let pullRequest = null
+    if (proposed) {
+      // The labels change right away, so edits and backfills leave the story alone while the pull request is open
+      const base = config.targetBranch || (await client.rest.repos.get({ owner, repo })).data.default_branch
+      branch = `${storyBranch(story.slug)}-unpublish`
+      pullRequest = await publishPullRequest({
+        client,
+        owner,
+        repo,
+        base,
+        branch,
+        message,
+        files,
+        title: message,
+        body: `Unpublishes the ${category.displayName} story of #${context.issue.number} at \`${story.path}\` because ${reason}.\n\n${publishPullRequest.issueMarker(context.issue.number)}`,
+        autoMerge: config.autoMerge,
+      })
+      report.decisions.push({ passed: true, text: `Proposed in pull request #${pullRequest.number}` })
+    } else {
+      const commit = await commitFiles({ client, owner, repo, branch: config.targetBranch, message, files })
+      branch = commit.branch
+      report.decisions.push({ passed: true, text: `Committed to ${commit.branch} as ${commit.sha.slice(0, 7)}` })
+    }
+
+    await removePublishedLabel(client, owner, repo, context.issue.number)
+    // Marks the issue so backfills do not publish the story again; closing the issue again still does
+    await client.rest.issues.addLabels({
+      owner,
+      repo,
+      issue_number: context.issue.number,
+      labels: ['unpublished']
+    })
+    console.log('Label added: unpublished')
+    report.rows.push(['Labels removed', 'published'], ['Labels applied', 'unpublished'])
+
+    await client.rest.issues.createComment({
+      owner,
+      repo,
+      issue_number: context.issue.number,
+      body: pullRequest
+        ? `This story will be unpublished because ${reason}, once ${pullRequest.url} is merged. ${outcome}`
+        : `This story has been unpublished because ${reason}. ${outcome}`
+    })
+
+    core.setOutput('story-path', story.path)
+    report.heading = pullRequest ? 'Story unpublication proposed' : archivePath ? 'Story archived' : 'Story deleted'
+    report.rows.push(['File', archivePath ? fileLink(owner, repo, branch, archivePath) : `${escapeHtml(story.path)} (deleted)`])
+    return true
+  } catch (error) {
+    core.setFailed(error.message)
+    report.heading = 'Story unpublication failed'
+    report.decisions.push({ passed: false, text: error.message })
+    return false
+  } finally {
+    await writeStorySummary(report)
+  }
+}
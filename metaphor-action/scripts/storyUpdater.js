@@ -0,0 +1,175 @@
+const core = require('@actions/core');
+const resolveReviewers = require('./utils/reviewers');
+const { resolveCategory } = require('./utils/categories');
+const { loadTemplate } = require('./utils/template');
+const { prepareStory } = require('./utils/story');
+const { rehostImages } = require('./utils/images');
+const { findStoryFile, storyBranch } = require('./utils/storyPath');
+const { manifestEntry, updateManifests } = require('./utils/manifest');
+const { commitFiles } = require('./utils/git');
+const publishPullRequest = require('./utils/pullRequest');
+const { parseFrontMatter } = require('./utils/frontMatter');
+const { escapeHtml, fileLink, writeStorySummary } = require('./utils/summary');
+const reportSkip = require('./utils/reportSkip');
+
+/**
+ * Counts the lines added and removed between two versions of a document, from their longest common subsequence of
+ * lines, so a line inserted at the top does not count every following line as changed.
+ * @function countChangedLines
+ * @param {string} before - The current document.
+ * @param {string} after - The new document.
+ * @returns {{ added: number, removed: number }} The number of lines added and removed; a changed line counts as both.
+ */
+function countChangedLines(before, after) {
+  const previous = before.split('\n');
+  const next = after.split('\n');
+  // One row of the LCS table at a time: common[j] is the LCS length of the lines seen so far and next[0..j)
+  let common = new Array(next.length + 1).fill(0);
+  for (const line of previous) {
+    const row = [0];
+    for (let index = 0; index < next.length; index++) {
+      row.push(line === next[index] ? common[index] + 1 : Math.max(common[index + 1], row[index]));
+    }
+    common = row;
+  }
+  const kept = common[next.length];
+  return { added: next.length - kept, removed: previous.length - kept };
+}
+
+module.exports = async (client, context, config) => {
+  const report = { heading: 'Story not updated', decisions: [], rows: [] }
+  const skip = (reason, details) => reportSkip(report, {
+    heading: 'Story not updated',
+    subject: `The story of #${context.issue.number} was not updated`,
+    reason,
+    details,
+  })
+  try {
+    if (!context.payload.issue) {
+      return skip('not-an-issue', 'the edited item is a pull request')
+    }
+
+    const issue = await client.rest.issues.get({
+      owner: context.issue.owner,
+      repo: context.issue.repo,
+      issue_number: context.issue.number,
+    })
+    report.issue = issue.data
+
+    const labels = issue.data.labels.map(label => label.name)
+    if (issue.data.state !== 'closed') {
+      return skip('not-published', 'the issue is open')
+    }
+    if (labels.includes('publishing')) {
+      return skip('not-published', 'its story waits for its pull request to be merged')
+    }
+    if (!labels.includes('published')) {
+      return skip('not-published', 'the issue is not labelled `published`')
+    }
+    report.decisions.push({ passed: true, text: 'The issue is closed and published' })
+
+    const { category, reason, details } = resolveCategory(config.categories, labels)
+    if (!category) {
+      return skip(reason, details)
+    }
+    report.decisions.push({ passed: true, text: `Labels match the ${category.displayName} category` })
+    report.rows.push(['Category', escapeHtml(category.displayName)])
+
+    const story = await findStoryFile(client, {
+      owner: context.issue.owner,
+      repo: context.issue.repo,
+      config,
+      category,
+      issueData: issue.data,
+    })
+    if (!story) {
+      return skip('no-story-file', `no story file in ${config.storiesRoot} belongs to it`)
+    }
+    report.decisions.push({ passed: true, text: `Story found at ${story.path}` })
+
+    const approvedReviewers = await resolveReviewers(client, config.reviewers)
+    const reviewer = issue.data.assignees.find(assignee => approvedReviewers.includes(assignee.login.toLowerCase()))
+    const template = await loadTemplate(client, context, config.templatePath)
+    const prepared = await prepareStory(client, {
+      owner: context.issue.owner,
+      repo: context.issue.repo,
+      config,
+      issueData: issue.data,
+      category,
+      reviewer,
+      template,
+    })
+    const images = config.rehostImages
+      ? await rehostImages(client, {
+        owner: context.issue.owner,
+        repo: context.issue.repo,
+        config,
+        document: prepared.document,
+        storyPath: story.path,
+      })
+      : { document: prepared.document, files: [] }
+
+    const document = images.document
+    const manifestFiles = await updateManifests(client, {
+      owner: context.issue.owner,
+      repo: context.issue.repo,
+      config,
+      issue: context.issue.number,
+      entry: manifestEntry({ issueData: issue.data, category, path: story.path, slug: story.slug, document }),
+    })
+    const files = [...images.files, ...prepared.files, ...manifestFiles]
+    report.frontMatter = parseFrontMatter(document).data
+    if (document !== story.content) {
+      const { added, removed } = countChangedLines(story.content, document)
+      console.log(`${story.path}: ${added} line(s) added, ${removed} removed`);
+      files.unshift({ path: story.path, content: document })
+    }
+    if (files.length === 0) {
+      console.log(`${story.path} is up to date`);
+      report.heading = 'Story up to date'
+      report.decisions.push({ passed: true, text: 'Nothing changed since the last publication' })
+      return false
+    }
+
+    const owner = context.issue.owner
+    const repo = context.issue.repo
+    const message = `docs(generate): update metaphor from @${issue.data.user.login}`
+    core.setOutput('story-path', story.path);
+    core.setOutput('story', document);
+
+    // The published story stays as it is until the pull request is merged
+    if (config.publishMode === 'pull-request') {
+      const base = config.targetBranch || (await client.rest.repos.get({ owner, repo })).data.default_branch
+      const branch = `${storyBranch(story.slug)}-update`
+      const pullRequest = await publishPullRequest({
+        client,
+        owner,
+        repo,
+        base,
+        branch,
+        message,
+        files,
+        title: message,
+        body: `Updates the ${category.displayName} story of #${context.issue.number} at \`${story.path}\` after its issue was edited.\n\n${publishPullRequest.issueMarker(context.issue.number)}`,
+        autoMerge: config.autoMerge,
+      })
+      report.heading = 'Story update proposed'
+      report.decisions.push({ passed: true, text: `Proposed in pull request #${pullRequest.number}` })
+      report.rows.push(['File', fileLink(owner, repo, branch, story.path)])
+      return true
+    }
+
+    const commit = await commitFiles({ client, owner, repo, branch: config.targetBranch, message, files })
+    report.heading = 'Story updated'
+    report.decisions.push({ passed: true, text: `Committed to ${commit.branch} as ${commit.sha.slice(0, 7)}` })
+    report.rows.push(['File', fileLink(owner, repo, commit.branch, story.path)])
+    return true
+  } catch (error) {
+    core.setFailed(error.message)
+    report.heading = 'Story update failed'
+    report.decisions.push({ passed: false, text: error.message })
+    return false
+  } finally {
+    await writeStorySummary(report)
+  }
+}
@@ -0,0 +1,128 @@
+const getUserData = require('./getUserData');
+const isValidJson = require('./isValidJson');
+const getFile = require('./getFile');
+
+const USERDATA_BLOCK_REGEX = /(?:```[\w-]*[ \t]*\r?\n)?[ \t]*{start userdata}[\s\S]*?{end userdata}(?:[ \t]*\r?\n```)?/g;
+
+const SOCIAL_NETWORKS = ['twitter', 'github', 'linkedin', 'mastodon', 'instagram', 'youtube', 'devto', 'facebook'];
+
+const MAX_BIO_LENGTH = 500;
+
+/**
+ * Validates an author profile against the supported schema:
+ * `display_name`, `website` and `bio` strings, and a `social` mapping of network names to handles.
+ * @function validateAuthorProfile
+ * @param {*} profile - The parsed author block.
+ * @returns {string[]} The validation errors, empty when the profile is valid.
+ */
+function validateAuthorProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['the author block must be a JSON object'];
+  }
+
+  const errors = [];
+  const allowed = ['display_name', 'website', 'social', 'bio'];
+  Object.keys(profile)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`unknown field \`${key}\`, expected one of ${allowed.join(', ')}`));
+
+  ['display_name', 'website', 'bio'].forEach(key => {
+    if (profile[key] !== undefined && typeof profile[key] !== 'string') {
+      errors.push(`\`${key}\` must be a string`);
+    }
+  });
+
+  if (typeof profile.website === 'string' && !/^https?:\/\/\S+$/.test(profile.website)) {
+    errors.push('`website` must be an http(s) URL');
+  }
+  if (typeof profile.bio === 'string' && profile.bio.length > MAX_BIO_LENGTH) {
+    errors.push(`\`bio\` must be at most ${MAX_BIO_LENGTH} characters`);
+  }
+
+  if (profile.social !== undefined) {
+    if (!profile.social || typeof profile.social !== 'object' || Array.isArray(profile.social)) {
+      errors.push('`social` must map network names to handles');
+    } else {
+      Object.entries(profile.social).forEach(([network, handle]) => {
+        if (!SOCIAL_NETWORKS.includes(network)) {
+          errors.push(`unknown social network \`${network}\`, expected one of ${SOCIAL_NETWORKS.join(', ')}`);
+        } else if (typeof handle !== 'string' || handle.trim() === '') {
+          errors.push(`\`social.${network}\` must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts the `{start userdata}...{end userdata}` author block from an issue body.
+ * The block, and the code fence around it if any, is always removed from the body so it is never published.
+ * @function extractAuthorProfile
+ * @param {string} body - The issue body.
+ * @returns {{ profile: Object|null, body: string, errors: string[] }} The valid profile (null when missing or invalid), the body without the block, and the validation errors.
+ */
+function extractAuthorProfile(body) {
+  const text = body || '';
+  const block = getUserData(text);
+  if (block === null) {
+    return { profile: null, body: text, errors: [] };
+  }
+
+  const strippedBody = text.replace(USERDATA_BLOCK_REGEX, '').replace(/\n{3,}/g, '\n\n').trim();
+  const json = block.trim().replace(/^```[\w-]*\s*|\s*```$/g, '');
+  if (!isValidJson(json)) {
+    return { profile: null, body: strippedBody, errors: ['the author block is not valid JSON'] };
+  }
+
+  const profile = JSON.parse(json);
+  const errors = validateAuthorProfile(profile);
+  return { profile: errors.length === 0 ? profile : null, body: strippedBody, errors };
+}
+
+/**
+ * Builds the path of the profile file of an author.
+ * @function authorProfilePath
+ * @param {Object} config - The action configuration, providing `storiesRoot`.
+ * @param {string} login - The GitHub login of the author.
+ * @returns {string} The path of the author profile file.
+ */
+function authorProfilePath(config, login) {
+  return [config.storiesRoot, 'authors', `${login.toLowerCase()}.json`].filter(Boolean).join('/');
+}
+
+/**
+ * Builds the profile file of an author when profiles are stored as files, skipping files that are up to date.
+ * @async
+ * @function authorProfileFile
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the profile and where to store it.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {string} options.login - The GitHub login of the author.
+ * @param {Object|null} options.profile - The author profile.
+ * @returns {Promise<{ path: string, content: string }|null>} A Promise that resolves with the file to commit, or null when there is nothing to write.
+ */
+async function authorProfileFile(client, { owner, repo, config, login, profile }) {
+  if (config.authorProfile !== 'file' || !profile) {
+    return null;
+  }
+
+  const path = authorProfilePath(config, login);
+  const content = `${JSON.stringify({ login, ...profile }, undefined, 2)}\n`;
+  const existing = await getFile(client, { owner, repo, path, ref: config.targetBranch || undefined });
+  if (existing && existing.content === content) {
+    return null;
+  }
+
+  return { path, content };
+}
+
+module.exports = {
+  authorProfileFile,
+  authorProfilePath,
+  extractAuthorProfile,
+  validateAuthorProfile,
+};
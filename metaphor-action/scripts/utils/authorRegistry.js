@@ -0,0 +1,104 @@
+const core = require('@actions/core');
+const getFile = require('./getFile');
+const isValidJson = require('./isValidJson');
+
+const REGISTRY_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Profiles fetched during this run, so a backfill touching the same author many times queries GitHub once
+const profileCache = new Map();
+
+/**
+ * Builds the path of the shared author registry.
+ * @function authorRegistryPath
+ * @param {Object} config - The action configuration, providing `storiesRoot`.
+ * @returns {string} The path of `authors.json`.
+ */
+function authorRegistryPath(config) {
+  return [config.storiesRoot, 'authors.json'].filter(Boolean).join('/');
+}
+
+/**
+ * Reads the shared author registry, keyed by lowercased login.
+ * @async
+ * @function readAuthorRegistry
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the location of the registry.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @returns {Promise<Object>} A Promise that resolves with the registered authors, empty when there is no registry yet.
+ */
+async function readAuthorRegistry(client, { owner, repo, config }) {
+  const path = authorRegistryPath(config);
+  const file = await getFile(client, { owner, repo, path, ref: config.targetBranch || undefined });
+  if (!file) {
+    return {};
+  }
+  if (!isValidJson(file.content)) {
+    core.warning(`${path} is not valid JSON, it will be rebuilt`);
+    return {};
+  }
+  return JSON.parse(file.content);
+}
+
+/**
+ * Fetches the public GitHub profile of an author. Profiles found in this run or registered less than a week ago
+ * are reused instead of querying the users API again. Whatever `author-profile` says, fetched profiles are kept in
+ * the registry, which is the cache of the next runs.
+ * @async
+ * @function enrichAuthor
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the author and the location of the registry.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {string} options.login - The GitHub login of the author.
+ * @returns {Promise<{ profile: Object|null, registryFile: Object|null }>} A Promise that resolves with the profile (`name`, `avatar_url`, `blog`, `twitter_username`, `html_url`) and, when a profile was fetched, the updated registry to commit.
+ */
+async function enrichAuthor(client, { owner, repo, config, login }) {
+  const key = login.toLowerCase();
+  const registry = await readAuthorRegistry(client, { owner, repo, config });
+  const registered = registry[key];
+
+  let profile = profileCache.get(key);
+  if (!profile && registered && Date.now() - new Date(registered.fetched_at).getTime() < REGISTRY_TTL) {
+    profile = registered;
+  }
+
+  if (!profile) {
+    try {
+      const user = await client.rest.users.getByUsername({ username: login });
+      profile = {
+        login: user.data.login,
+        name: user.data.name || null,
+        avatar_url: user.data.avatar_url,
+        blog: user.data.blog || null,
+        twitter_username: user.data.twitter_username || null,
+        html_url: user.data.html_url,
+        fetched_at: new Date().toISOString(),
+      };
+      console.log(`Fetched the GitHub profile of @${login}`);
+    } catch (error) {
+      core.warning(`Unable to fetch the GitHub profile of @${login}: ${error.message}`);
+      return { profile: registered || null, registryFile: null };
+    }
+  }
+  profileCache.set(key, profile);
+
+  if (registered && registered.fetched_at === profile.fetched_at) {
+    return { profile, registryFile: null };
+  }
+
+  const authors = { ...registry, [key]: profile };
+  const sorted = Object.fromEntries(Object.keys(authors).sort().map(login => [login, authors[login]]));
+  return {
+    profile,
+    registryFile: { path: authorRegistryPath(config), content: `${JSON.stringify(sorted, undefined, 2)}\n` },
+  };
+}
+
+module.exports = {
+  authorRegistryPath,
+  enrichAuthor,
+  readAuthorRegistry,
+};
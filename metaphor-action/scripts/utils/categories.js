@@ -0,0 +1,114 @@
+const DEFAULT_CATEGORIES = [
+  { name: 'linux', 'display-name': 'Linux' },
+  { name: 'cpp', 'display-name': 'C++' },
+  { name: 'css', 'display-name': 'CSS' },
+  { name: 'golang', 'display-name': 'Go' },
+  { name: 'javascript', 'display-name': 'JavaScript' },
+  { name: 'java', 'display-name': 'Java' },
+  { name: 'maths', 'display-name': 'Maths' },
+  { name: 'python', 'display-name': 'Python' },
+  { name: 'php', 'display-name': 'PHP' },
+  { name: 'physics', 'display-name': 'Physics' },
+  { name: 'ruby', 'display-name': 'Ruby' },
+  { name: 'rust', 'display-name': 'Rust' },
+  { name: 'zig', 'display-name': 'Zig' },
+];
+
+// Labels that say nothing about the category of a story: the story label and the publication status
+const IGNORED_LABELS = ['metaphore', 'published', 'publishing', 'unpublished'];
+
+/**
+ * Normalizes a category directory into a relative, slash separated path such as `science/physics`.
+ * @function normalizeDirectory
+ * @param {string} directory - The directory as written in the configuration file.
+ * @param {string} name - The name of the category, used in error messages.
+ * @returns {string} The normalized directory.
+ */
+function normalizeDirectory(directory, name) {
+  const segments = String(directory)
+    .split(/[\\/]+/)
+    .map(segment => segment.trim())
+    .filter(Boolean);
+
+  if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`Category \`${name}\` has an invalid \`directory\`: ${directory}`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Validates the category declarations of the configuration file and fills in their defaults.
+ * A category can be matched by several labels: `labels` lists them, `label` is accepted for a single one.
+ * @function normalizeCategories
+ * @param {Array<Object>} entries - The category declarations, each with a `name` and optional `labels`, `label`, `directory` and `display-name`.
+ * @returns {Array<Object>} The categories, each with `name`, `labels`, `directory` and `displayName`.
+ */
+function normalizeCategories(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('`categories` must be a list of category declarations');
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new Error(`Category #${index + 1} is missing its \`name\``);
+    }
+    const name = entry.name.trim();
+
+    const labels = [].concat(entry.labels || [], entry.label || [])
+      .map(label => String(label).trim())
+      .filter(Boolean);
+
+    return {
+      name,
+      labels: labels.length > 0 ? labels : [name],
+      directory: normalizeDirectory(entry.directory || name, name),
+      displayName: entry['display-name'] || name,
+    };
+  });
+}
+
+/**
+ * Resolves the category of a story issue. An issue belongs to a category when it carries at least one label of
+ * that category and every other label is either one of `IGNORED_LABELS` or another label of the same category.
+ * An issue labelled `metaphore` alone has no category.
+ * Labels are compared case-insensitively.
+ * @function resolveCategory
+ * @param {Array<Object>} categories - The normalized categories.
+ * @param {string[]} labels - The label names of the issue.
+ * @returns {{ category: Object|null, reason: string|null, details: string|null }} The matching category, or why
+ * there is none: `no-category-label` or `multiple-categories`, with a description.
+ */
+function resolveCategory(categories, labels) {
+  const issueLabels = labels.map(label => label.toLowerCase()).filter(label => !IGNORED_LABELS.includes(label));
+  const matches = categories.filter(category =>
+    category.labels.some(label => issueLabels.includes(label.toLowerCase())));
+
+  if (matches.length > 1) {
+    return {
+      category: null,
+      reason: 'multiple-categories',
+      details: `its labels name several categories (${matches.map(category => category.displayName).join(', ')})`,
+    };
+  }
+  if (matches.length === 0) {
+    return { category: null, reason: 'no-category-label', details: 'none of its labels names a story category' };
+  }
+
+  const accepted = matches[0].labels.map(label => label.toLowerCase());
+  const unexpected = labels.filter(label => !IGNORED_LABELS.includes(label.toLowerCase()) && !accepted.includes(label.toLowerCase()));
+  if (unexpected.length > 0) {
+    return {
+      category: null,
+      reason: 'no-category-label',
+      details: `it also carries labels outside the ${matches[0].displayName} category (${unexpected.join(', ')})`,
+    };
+  }
+  return { category: matches[0], reason: null, details: null };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  normalizeCategories,
+  resolveCategory,
+};
@@ -0,0 +1,241 @@
+const core = require('@actions/core');
+const YAML = require('yaml');
+const isValidJson = require('./isValidJson');
+const getFile = require('./getFile');
+const { DEFAULT_CATEGORIES, normalizeCategories } = require('./categories');
+const { COLLISION_STRATEGIES, validatePathPattern } = require('./storyPath');
+const { DEFAULT_FORM_FIELDS } = require('./parseIssueForm');
+const { IMAGE_EXTENSIONS } = require('./images');
+const { validateStoryUrl } = require('./feeds');
+const { HASH_LENGTH } = require('./slugify');
+
+const CONFIG_PATHS = [
+  '.github/metaphor-action.yml',
+  '.github/metaphor-action.yaml',
+  '.github/metaphor-action.json',
+];
+
+const DEFAULT_REVIEWERS = ['darkterminal', 'mkubdev'];
+
+const DEFAULT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Splits a comma or newline separated input into a list of trimmed, non-empty entries.
+ * @param {string|string[]} value - The raw input value or an already parsed list.
+ * @returns {string[]} The list of entries.
+ */
+function parseList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(Boolean);
+  }
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Picks the first value that is set, treating empty strings as unset.
+ * @param {...*} values - The candidate values, in order of precedence.
+ * @returns {*} The first set value.
+ */
+function pick(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Parses a boolean input or configuration value.
+ * @param {string|boolean} value - The raw value.
+ * @returns {boolean} True for `true`, `yes` or `1`.
+ */
+function parseBoolean(value) {
+  return ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Reads the repository level configuration file, if the repository has one.
+ * The first existing file of `CONFIG_PATHS` wins; `.json` files are parsed as JSON, anything else as YAML.
+ * @async
+ * @function readConfigFile
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context object containing information about the GitHub repository.
+ * @returns {Promise<Object|null>} A Promise that resolves with the parsed configuration, or null when there is no file.
+ */
+async function readConfigFile(client, context) {
+  for (const path of CONFIG_PATHS) {
+    const file = await getFile(client, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      path,
+    });
+    if (!file) {
+      continue;
+    }
+
+    const raw = file.content;
+    if (path.endsWith('.json')) {
+      if (!isValidJson(raw)) {
+        throw new Error(`Invalid configuration in ${path}: the file is not valid JSON`);
+      }
+      return JSON.parse(raw) || {};
+    }
+
+    try {
+      return YAML.parse(raw) || {};
+    } catch (error) {
+      throw new Error(`Invalid configuration in ${path}: ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the action configuration from the action inputs and the repository configuration file.
+ * Action inputs take precedence over the configuration file, which takes precedence over the built-in defaults.
+ * @async
+ * @function loadConfig
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context object containing information about the GitHub repository.
+ * @param {Object} inputs - The raw action inputs.
+ * @param {string} [inputs.reviewers] - Comma or newline separated list of reviewer logins and `org/team-slug` entries.
+ * @param {string} [inputs.templatePath] - Path of a Mustache story template in the repository.
+ * @param {string} [inputs.slugCollision] - What to do when a story with the same slug exists, one of `COLLISION_STRATEGIES`.
+ * @param {string} [inputs.slugMaxLength] - The maximum length of story slugs.
+ * @param {string} [inputs.slugHash] - Whether to append a short hash of the title to story slugs.
+ * @param {string} [inputs.unpublishMode] - What happens to the story of an unpublished issue, `archive` or `delete`.
+ * @param {string} [inputs.publishMode] - How stories are published, `commit` to the default branch or `pull-request`.
+ * @param {string} [inputs.autoMerge] - Whether to enable auto-merge on story pull requests.
+ * @param {string} [inputs.targetBranch] - The branch stories are published to, defaults to the default branch.
+ * @param {string} [inputs.storiesRoot] - The directory holding the stories.
+ * @param {string} [inputs.pathPattern] - The pattern of story file paths.
+ * @param {string} [inputs.authorProfile] - Where author profiles go, `front-matter`, `file` or `none`.
+ * @param {string} [inputs.enrichAuthor] - Whether to add the public GitHub profile of authors.
+ * @param {string} [inputs.rehostImages] - Whether to commit copies of the images of stories.
+ * @param {string} [inputs.imageMaxSize] - The maximum size in bytes of a re-hosted image.
+ * @param {string} [inputs.imageTypes] - The MIME types of images that are re-hosted.
+ * @param {string} [inputs.feeds] - Whether to regenerate the Atom and RSS feeds of the manifests.
+ * @param {string} [inputs.siteUrl] - The address of the site publishing the stories.
+ * @param {string} [inputs.storyUrl] - The pattern of the public URL of a story.
+ * @param {string} [inputs.backfillLimit] - The maximum number of issues a backfill run publishes.
+ * @param {string} [inputs.dryRun] - Whether to only record the writes instead of sending them to GitHub.
+ * @param {string} [inputs.skipComment] - Whether to tell the author why a closed story issue was not published.
+ * @returns {Promise<Object>} A Promise that resolves with the merged configuration.
+ */
+async function loadConfig(client, context, inputs = {}) {
+  const file = await readConfigFile(client, context) || {};
+
+  const reviewers = parseList(inputs.reviewers).length > 0
+    ? parseList(inputs.reviewers)
+    : parseList(file.reviewers);
+
+  const slugCollision = pick(inputs.slugCollision, file['slug-collision'], 'issue-number');
+  if (!COLLISION_STRATEGIES.includes(slugCollision)) {
+    throw new Error(`Unknown slug collision strategy \`${slugCollision}\`, expected one of ${COLLISION_STRATEGIES.join(', ')}`);
+  }
+
+  const slugMaxLength = Number(pick(inputs.slugMaxLength, file['slug-max-length'], 80));
+  if (!Number.isInteger(slugMaxLength) || slugMaxLength < 0) {
+    throw new Error(`\`slug-max-length\` must be a positive number, got ${slugMaxLength}`);
+  }
+  const slugHash = parseBoolean(pick(inputs.slugHash, file['slug-hash'], false));
+  if (slugHash && slugMaxLength > 0 && slugMaxLength < HASH_LENGTH + 2) {
+    throw new Error(`\`slug-max-length\` must be at least ${HASH_LENGTH + 2} with \`slug-hash\`, which appends ${HASH_LENGTH + 1} characters, got ${slugMaxLength}`);
+  }
+
+  const unpublishMode = pick(inputs.unpublishMode, file['unpublish-mode'], 'archive');
+  if (!['archive', 'delete'].includes(unpublishMode)) {
+    throw new Error(`Unknown unpublish mode \`${unpublishMode}\`, expected archive or delete`);
+  }
+
+  const publishMode = pick(inputs.publishMode, file['publish-mode'], 'commit');
+  if (!['commit', 'pull-request'].includes(publishMode)) {
+    throw new Error(`Unknown publish mode \`${publishMode}\`, expected commit or pull-request`);
+  }
+
+  const formFields = file['form-fields'] || DEFAULT_FORM_FIELDS;
+  if (typeof formFields !== 'object' || Array.isArray(formFields)) {
+    throw new Error('`form-fields` must map issue form headings to front matter fields');
+  }
+
+  const authorProfile = pick(inputs.authorProfile, file['author-profile'], 'front-matter');
+  if (!['front-matter', 'file', 'none'].includes(authorProfile)) {
+    throw new Error(`Unknown author profile destination \`${authorProfile}\`, expected front-matter, file or none`);
+  }
+
+  const imageMaxSize = Number(pick(inputs.imageMaxSize, file['image-max-size'], 5 * 1024 * 1024));
+  if (!Number.isInteger(imageMaxSize) || imageMaxSize <= 0) {
+    throw new Error(`\`image-max-size\` must be a positive number of bytes, got ${imageMaxSize}`);
+  }
+
+  const backfillLimit = Number(pick(inputs.backfillLimit, file['backfill-limit'], 10));
+  if (!Number.isInteger(backfillLimit) || backfillLimit <= 0) {
+    throw new Error(`\`backfill-limit\` must be a positive number, got ${backfillLimit}`);
+  }
+
+  const imageTypes = parseList(pick(inputs.imageTypes, file['image-types'], DEFAULT_IMAGE_TYPES)).map(type => type.toLowerCase());
+  const unknownTypes = imageTypes.filter(type => !IMAGE_EXTENSIONS[type]);
+  if (unknownTypes.length > 0) {
+    throw new Error(`Unsupported image type(s) ${unknownTypes.join(', ')}, expected ${Object.keys(IMAGE_EXTENSIONS).join(', ')}`);
+  }
+
+  return {
+    reviewers: reviewers.length > 0 ? reviewers : DEFAULT_REVIEWERS,
+    categories: normalizeCategories(file.categories || DEFAULT_CATEGORIES),
+    templatePath: pick(inputs.templatePath, file['template-path'], ''),
+    slugCollision,
+    slugMaxLength,
+    slugHash,
+    unpublishMode,
+    publishMode,
+    autoMerge: parseBoolean(pick(inputs.autoMerge, file['auto-merge'], false)),
+    targetBranch: pick(inputs.targetBranch, file['target-branch'], ''),
+    storiesRoot: pick(inputs.storiesRoot, file['stories-root'], 'public/collections/stories').replace(/^\/+|\/+$/g, ''),
+    formFields,
+    authorProfile,
+    enrichAuthor: parseBoolean(pick(inputs.enrichAuthor, file['enrich-author'], false)),
+    rehostImages: parseBoolean(pick(inputs.rehostImages, file['rehost-images'], false)),
+    imageMaxSize,
+    imageTypes,
+    feeds: parseBoolean(pick(inputs.feeds, file.feeds, true)),
+    siteUrl: pick(inputs.siteUrl, file['site-url'], ''),
+    storyUrl: validateStoryUrl(pick(inputs.storyUrl, file['story-url']) || ''),
+    backfillLimit,
+    dryRun: parseBoolean(pick(inputs.dryRun, file['dry-run'], false)),
+    skipComment: parseBoolean(pick(inputs.skipComment, file['skip-comment'], false)),
+    pathPattern: validatePathPattern(pick(inputs.pathPattern, file['path-pattern'], '{root}/{category}/{slug}.md')),
+  };
+}
+
+/**
+ * Tells whether the run is a dry run, for handlers that do not need the rest of the configuration. The `dry-run`
+ * input takes precedence over the configuration file; a configuration file that cannot be read is reported and
+ * left out, so it never stops such handlers.
+ * @async
+ * @function loadDryRun
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context object containing information about the GitHub repository.
+ * @param {string} [dryRun] - The raw `dry-run` input.
+ * @returns {Promise<boolean>} A Promise that resolves with true for a dry run.
+ */
+async function loadDryRun(client, context, dryRun) {
+  if (pick(dryRun) !== undefined) {
+    return parseBoolean(dryRun);
+  }
+  try {
+    const file = await readConfigFile(client, context) || {};
+    return parseBoolean(pick(file['dry-run'], false));
+  } catch (error) {
+    core.warning(`The \`dry-run\` setting of the configuration file is ignored. ${error.message}`, { title: 'Configuration not loaded' });
+    return false;
+  }
+}
+
+module.exports = {
+  CONFIG_PATHS,
+  loadConfig,
+  loadDryRun,
+  parseBoolean,
+  parseList,
+  pick,
+};
@@ -0,0 +1,187 @@
+const core = require('@actions/core');
+const { escapeHtml } = require('./summary');
+
+// Octokit methods that only read, and are safe to send to GitHub during a dry run
+const READ_METHOD_REGEX = /^(get|list|check|search)/;
+
+/**
+ * Decodes the content of a blob for display, as text when it is valid UTF-8.
+ * @param {Buffer} content - The blob content.
+ * @returns {string|null} The text, or null for binary content.
+ */
+function decodeBlob(content) {
+  const text = content.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(content) && !text.includes('\u0000') ? text : null;
+}
+
+/**
+ * Wraps an Octokit client so that reads still reach GitHub while writes are only recorded and logged.
+ * Writes resolve with placeholder data (`sha`, `id`, `number`, `html_url`, `node_id`), so the handlers run to the end
+ * unchanged; branches created during the run can be read back.
+ * @function createRecorder
+ * @param {Object} octokit - The authenticated Octokit client.
+ * @returns {{ client: Object, writes: Array<Object> }} The recording client and the writes it recorded, each with
+ * a `description` and, for files, their `path` and `content` (null for binary files).
+ */
+function createRecorder(octokit) {
+  const writes = [];
+  const blobs = new Map();
+  const refs = new Map();
+  let counter = 0;
+
+  const record = (description, extra = {}) => {
+    writes.push({ description, ...extra });
+    console.log(`[dry-run] Would ${description}`);
+  };
+  const placeholder = () => {
+    counter++;
+    return { sha: `dry-run-${counter}`, id: counter, number: counter, html_url: `(dry run #${counter})`, node_id: `dry-run-${counter}` };
+  };
+
+  const handlers = {
+    'git.createBlob': params => {
+      const data = placeholder();
+      blobs.set(data.sha, Buffer.from(params.content, params.encoding === 'base64' ? 'base64' : 'utf8'));
+      return data;
+    },
+    'git.createTree': params => {
+      params.tree.forEach(entry => {
+        if (entry.sha === null) {
+          record(`delete ${entry.path}`, { path: entry.path });
+        } else if (blobs.has(entry.sha)) {
+          const content = decodeBlob(blobs.get(entry.sha));
+          record(`write ${entry.path}${content === null ? ` (${blobs.get(entry.sha).length} bytes)` : `:\n${content}`}`, { path: entry.path, content });
+        } else {
+          record(`copy blob ${entry.sha} to ${entry.path}`, { path: entry.path, content: null });
+        }
+      });
+      return placeholder();
+    },
+    'git.createCommit': params => {
+      record(`commit "${params.message}"`);
+      return placeholder();
+    },
+    'git.createRef': params => {
+      refs.set(params.ref.replace(/^refs\//, ''), params.sha);
+      record(`create branch ${params.ref.replace(/^refs\/heads\//, '')}`);
+      return placeholder();
+    },
+    'git.updateRef': params => {
+      record(`move ${params.ref} to the new commit`);
+      return placeholder();
+    },
+    'issues.addLabels': params => {
+      record(`add labels ${params.labels.join(', ')} to #${params.issue_number}`);
+      return placeholder();
+    },
+    'issues.setLabels': params => {
+      record(`set the labels of #${params.issue_number} to ${params.labels.join(', ')}`);
+      return placeholder();
+    },
+    'issues.removeLabel': params => {
+      record(`remove label ${params.name} from #${params.issue_number}`);
+      return placeholder();
+    },
+    'issues.createComment': params => {
+      record(`comment on #${params.issue_number}:\n${params.body}`);
+      return placeholder();
+    },
+    'pulls.create': params => {
+      record(`open pull request "${params.title}" from ${params.head} into ${params.base}`);
+      return placeholder();
+    },
+    'pulls.createReview': params => {
+      record(`review pull request #${params.pull_number}:\n${params.body}`);
+      return placeholder();
+    },
+  };
+
+  const wrapNamespace = (name, methods) => new Proxy(methods, {
+    get(target, method) {
+      const original = target[method];
+      if (typeof method !== 'string' || typeof original !== 'function') {
+        return original;
+      }
+      if (name === 'git' && method === 'getRef') {
+        return async params => refs.has(params.ref)
+          ? { data: { ref: `refs/${params.ref}`, object: { sha: refs.get(params.ref) } } }
+          : original(params);
+      }
+      if (READ_METHOD_REGEX.test(method)) {
+        return original;
+      }
+      const handler = handlers[`${name}.${method}`];
+      return async params => {
+        if (handler) {
+          return { data: handler(params) };
+        }
+        record(`call ${name}.${method} with ${JSON.stringify(params)}`);
+        return { data: placeholder() };
+      };
+    },
+  });
+
+  const rest = new Proxy(octokit.rest, {
+    get(target, name) {
+      const methods = target[name];
+      return typeof name === 'string' && methods && typeof methods === 'object' ? wrapNamespace(name, methods) : methods;
+    },
+  });
+
+  const graphql = async (query, variables) => {
+    if (/^\s*mutation\b/.test(query)) {
+      const mutation = query.match(/mutation[^{]*{\s*(\w+)/);
+      record(`run GraphQL mutation ${mutation ? mutation[1] : query.trim()} with ${JSON.stringify(variables)}`);
+      return {};
+    }
+    return octokit.graphql(query, variables);
+  };
+
+  const client = new Proxy(octokit, {
+    get(target, name) {
+      if (name === 'rest') {
+        return rest;
+      }
+      if (name === 'graphql') {
+        return graphql;
+      }
+      return target[name];
+    },
+  });
+
+  return { client, writes };
+}
+
+/**
+ * Writes the job summary of a dry run: every recorded write, with the content of the text files that would be written.
+ * A summary that cannot be written only logs a warning.
+ * @async
+ * @function writeDryRunSummary
+ * @param {Array<Object>} writes - The writes recorded by `createRecorder`.
+ * @returns {Promise<void>} A Promise that resolves when the summary has been written.
+ */
+async function writeDryRunSummary(writes) {
+  try {
+    core.summary.addHeading('Metaphor action dry run', 2);
+    if (writes.length === 0) {
+      core.summary.addRaw('Nothing would be written.', true);
+    } else {
+      core.summary.addList(writes.map(write => escapeHtml(write.description.split('\n')[0].replace(/:$/, ''))));
+      writes
+        .filter(write => typeof write.content === 'string')
+        .forEach(write => {
+          core.summary.addHeading(write.path, 3);
+          core.summary.addCodeBlock(escapeHtml(write.content), write.path.endsWith('.md') ? 'markdown' : undefined);
+        });
+    }
+    await core.summary.write();
+  } catch (error) {
+    core.summary.emptyBuffer();
+    core.warning(`Unable to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createRecorder,
+  writeDryRunSummary,
+};
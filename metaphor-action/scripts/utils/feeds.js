@@ -0,0 +1,188 @@
+const FEED_SIZE = 20;
+
+const URL_PLACEHOLDERS = ['site', 'path', 'category', 'slug', 'issue'];
+
+/**
+ * Checks that a story URL pattern only uses known placeholders.
+ * @function validateStoryUrl
+ * @param {string} pattern - The URL pattern, e.g. `{site}/stories/{category}/{slug}`.
+ * @returns {string} The pattern.
+ * @throws {Error} When the pattern uses an unknown placeholder.
+ */
+function validateStoryUrl(pattern) {
+  const unknown = (pattern.match(/\{(\w+)\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .filter(placeholder => !URL_PLACEHOLDERS.includes(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s) in story URL ${pattern}: ${unknown.join(', ')}. Use ${URL_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+  }
+  return pattern;
+}
+
+/**
+ * Builds the address of the site publishing the stories, the repository page when no site URL is configured.
+ * @function siteUrl
+ * @param {Object} config - The action configuration, providing `siteUrl`.
+ * @param {string} owner - The owner of the GitHub repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @returns {string} The site URL, without a trailing slash.
+ */
+function siteUrl(config, owner, repo) {
+  return (config.siteUrl || `https://github.com/${owner}/${repo}`).replace(/\/+$/, '');
+}
+
+/**
+ * Builds the public URL of a story from the story URL pattern, the story file on GitHub when no pattern is configured.
+ * @function storyUrl
+ * @param {Object} config - The action configuration, providing `siteUrl` and `storyUrl`.
+ * @param {string} owner - The owner of the GitHub repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {Object} entry - The manifest entry of the story.
+ * @returns {string} The URL of the story.
+ */
+function storyUrl(config, owner, repo, entry) {
+  const pattern = config.storyUrl || `https://github.com/${owner}/${repo}/blob/${config.targetBranch || 'HEAD'}/{path}`;
+  const values = {
+    site: siteUrl(config, owner, repo),
+    path: entry.path,
+    category: entry.category,
+    slug: entry.slug,
+    issue: entry.issue,
+  };
+  return pattern.replace(/\{(\w+)\}/g, (placeholder, name) => values[name]);
+}
+
+/**
+ * Escapes text for XML element content and attribute values.
+ * @param {*} value - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parses the date of a manifest entry.
+ * @param {Object} entry - The manifest entry.
+ * @returns {Date|null} The date, or null when the entry has no valid date.
+ */
+function entryDate(entry) {
+  const date = new Date(entry.date);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Renders an Atom feed. The feed is updated as of its newest entry, so regenerating an unchanged feed yields the same document.
+ * @function renderAtom
+ * @param {Object} feed - The feed, with `title`, `link`, `self` and `items` (`title`, `url`, `author`, `category`, `date`).
+ * @returns {string} The Atom document.
+ */
+function renderAtom(feed) {
+  const dates = feed.items.map(item => item.date).filter(Boolean);
+  const updated = (dates[0] || new Date(0)).toISOString();
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.url)}"/>`,
+    `    <id>${escapeXml(item.url)}</id>`,
+    `    <updated>${(item.date || new Date(updated)).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.author)}</name></author>`,
+    `    <category term="${escapeXml(item.category)}"/>`,
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" href="${escapeXml(feed.self)}"/>`,
+    `  <id>${escapeXml(feed.self)}</id>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders an RSS 2.0 feed.
+ * @function renderRss
+ * @param {Object} feed - The feed, with `title`, `link`, `self` and `items` (`title`, `url`, `author`, `category`, `date`).
+ * @returns {string} The RSS document.
+ */
+function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+    `      <category>${escapeXml(item.category)}</category>`,
+    ...(item.date ? [`      <pubDate>${item.date.toUTCString()}</pubDate>`] : []),
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.title)}</description>`,
+    `    <atom:link href="${escapeXml(feed.self)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders the Atom (`feed.xml`) and RSS (`rss.xml`) feeds of a manifest, next to it, with its newest stories.
+ * @function renderFeeds
+ * @param {Object} config - The action configuration.
+ * @param {Object} options - An object containing the manifest and the repository.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} options.path - The path of the manifest.
+ * @param {Array<Object>} options.entries - The manifest entries, newest first.
+ * @param {Object} [options.category] - The category of the manifest, omitted for the global manifest.
+ * @returns {Array<{ path: string, content: string }>} The feed files.
+ */
+function renderFeeds(config, { owner, repo, path, entries, category }) {
+  const directory = path.slice(0, path.lastIndexOf('/') + 1);
+  const root = config.storiesRoot ? `${config.storiesRoot}/` : '';
+  const link = siteUrl(config, owner, repo);
+  const feedUrl = name => config.siteUrl
+    ? `${link}/${(directory + name).slice(root.length)}`
+    : `https://raw.githubusercontent.com/${owner}/${repo}/${config.targetBranch || 'HEAD'}/${directory}${name}`;
+  const feed = {
+    title: category ? `${repo} - ${category.displayName} stories` : `${repo} stories`,
+    link,
+    items: entries.slice(0, FEED_SIZE).map(entry => ({
+      title: entry.title,
+      url: storyUrl(config, owner, repo, entry),
+      author: entry.author,
+      category: entry.category,
+      date: entryDate(entry),
+    })),
+  };
+
+  return [
+    { path: `${directory}feed.xml`, content: renderAtom({ ...feed, self: feedUrl('feed.xml') }) },
+    { path: `${directory}rss.xml`, content: renderRss({ ...feed, self: feedUrl('rss.xml') }) },
+  ];
+}
+
+module.exports = {
+  renderFeeds,
+  siteUrl,
+  storyUrl,
+  validateStoryUrl,
+};
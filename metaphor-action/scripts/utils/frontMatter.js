@@ -0,0 +1,74 @@
+const YAML = require('yaml');
+
+const FRONT_MATTER_REGEX = /^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Serializes front matter fields into a `---` delimited YAML block.
+ * Strings are always double quoted, so titles containing quotes, colons or newlines stay valid YAML. `Date` fields
+ * are written as plain timestamps, e.g. `2023-05-04T10:00:00Z`, which site generators read as dates.
+ * @function stringifyFrontMatter
+ * @param {Object} data - The front matter fields.
+ * @returns {string} The front matter block, including both `---` delimiters.
+ */
+function stringifyFrontMatter(data) {
+  const dates = Object.keys(data).filter(field => data[field] instanceof Date);
+  const document = new YAML.Document({
+    ...data,
+    ...Object.fromEntries(dates.map(field => [field, data[field].toISOString().replace(/\.000Z$/, 'Z')])),
+  });
+  dates.forEach(field => {
+    document.get(field, true).type = 'PLAIN';
+  });
+  const yaml = document.toString({
+    defaultStringType: 'QUOTE_DOUBLE',
+    defaultKeyType: 'PLAIN',
+    lineWidth: 0,
+  });
+  return `---\n${yaml}---`;
+}
+
+/**
+ * Splits a markdown document into its front matter fields and its content.
+ * @function parseFrontMatter
+ * @param {string} document - The markdown document.
+ * @returns {{ data: Object|null, content: string }} The parsed front matter (null when the document has none) and the remaining content.
+ * @throws {Error} When the front matter is not a valid YAML mapping.
+ */
+function parseFrontMatter(document) {
+  const match = document.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { data: null, content: document };
+  }
+
+  let data;
+  try {
+    data = YAML.parse(match[1] || '');
+  } catch (error) {
+    throw new Error(`Front matter is not valid YAML: ${error.message}`);
+  }
+
+  if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    throw new Error('Front matter must be a mapping of fields');
+  }
+
+  return {
+    data: data || {},
+    content: document.slice(match[0].length),
+  };
+}
+
+/**
+ * Quotes a value for inline use in a YAML document. A JSON string is a valid YAML double quoted scalar.
+ * @function quoteYaml
+ * @param {string} value - The value to quote.
+ * @returns {string} The quoted value.
+ */
+function quoteYaml(value) {
+  return JSON.stringify(String(value));
+}
+
+module.exports = {
+  parseFrontMatter,
+  quoteYaml,
+  stringifyFrontMatter,
+};
@@ -0,0 +1,26 @@
+/**
+ * Reads a file from a GitHub repository.
+ * @async
+ * @function getFile
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the location of the file.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} options.path - The path to the file in the repository.
+ * @param {string} [options.ref] - The branch, tag or commit to read from, defaults to the default branch.
+ * @returns {Promise<{ content: string, sha: string }|null>} A Promise that resolves with the decoded content and blob sha of the file, or null when it does not exist.
+ */
+module.exports = async (client, { owner, repo, path, ref }) => {
+  try {
+    const response = await client.rest.repos.getContent({ owner, repo, path, ref });
+    return {
+      content: Buffer.from(response.data.content, 'base64').toString('utf8'),
+      sha: response.data.sha,
+    };
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
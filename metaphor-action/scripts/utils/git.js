@@ -1,4 +1,142 @@
+const BOT_USERNAME = 'github-actions[bot]';
+const BOT_EMAIL = '41898282+github-actions[bot]@users.noreply.github.com';
+
+/**
+ * Commits a set of file changes to a branch as a single commit, through the Git Data API.
+ * Either every change lands or none does: the branch only moves once the whole commit has been built.
+ * @async
+ * @function commitFiles
+ * @param {Object} options - An object containing options for the commit.
+ * @param {Object} options.client - The authenticated Octokit REST client.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} [options.branch] - The branch to commit to, defaults to the default branch of the repository.
+ * @param {string} options.message - The commit message.
+ * @param {Array<Object>} options.files - The changes. `{ path, content }` creates or replaces a file, with `content` as a string or a Buffer; `{ path, sha }` writes an existing blob, e.g. to copy a file; `{ path, delete: true }` removes one.
+ * @returns {Promise<{ sha: string, branch: string }>} A Promise that resolves with the sha of the new commit and the branch it was committed to.
+ */
+async function commitFiles({ client, owner, repo, branch, message, files }) {
+    if (!branch) {
+        const repository = await client.rest.repos.get({ owner, repo });
+        branch = repository.data.default_branch;
+    }
+
+    const ref = await client.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    const parentSha = ref.data.object.sha;
+    const parent = await client.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+
+    const tree = [];
+    for (const file of files) {
+        if (file.delete) {
+            tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+            continue;
+        }
+        if (file.content === undefined) {
+            tree.push({ path: file.path, mode: '100644', type: 'blob', sha: file.sha });
+            continue;
+        }
+
+        const blob = await client.rest.git.createBlob({
+            owner,
+            repo,
+            content: Buffer.from(file.content).toString('base64'),
+            encoding: 'base64',
+        });
+        tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.data.sha });
+    }
+
+    const newTree = await client.rest.git.createTree({
+        owner,
+        repo,
+        base_tree: parent.data.tree.sha,
+        tree,
+    });
+
+    const commit = await client.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.data.sha,
+        parents: [parentSha],
+        committer: {
+            name: BOT_USERNAME,
+            email: BOT_EMAIL
+        },
+        author: {
+            name: BOT_USERNAME,
+            email: BOT_EMAIL
+        }
+    });
+
+    await client.rest.git.updateRef({
+        owner,
+        repo,
+        ref: `heads/${branch}`,
+        sha: commit.data.sha,
+    });
+
+    console.log(`Committed ${files.map(file => file.path).join(', ')} to ${branch} as ${commit.data.sha}`);
+    return { sha: commit.data.sha, branch };
+}
+
+/**
+ * Creates a branch pointing at the head of another branch. An existing branch is left untouched.
+ * @async
+ * @function createBranch
+ * @param {Object} options - An object containing options for the branch creation.
+ * @param {Object} options.client - The authenticated Octokit REST client.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} options.branch - The name of the branch to create.
+ * @param {string} options.from - The branch the new branch starts from.
+ * @returns {Promise<boolean>} A Promise that resolves with true when the branch was created, false when it already existed.
+ */
+async function createBranch({ client, owner, repo, branch, from }) {
+    const base = await client.rest.git.getRef({ owner, repo, ref: `heads/${from}` });
+    try {
+        await client.rest.git.createRef({
+            owner,
+            repo,
+            ref: `refs/heads/${branch}`,
+            sha: base.data.object.sha,
+        });
+        return true;
+    } catch (error) {
+        if (error.status === 422) {
+            console.log(`Branch ${branch} already exists`);
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tells whether a branch exists.
+ * @async
+ * @function branchExists
+ * @param {Object} options - An object containing the branch to look for.
+ * @param {Object} options.client - The authenticated Octokit REST client.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} options.branch - The name of the branch.
+ * @returns {Promise<boolean>} A Promise that resolves with true when the branch exists.
+ */
+async function branchExists({ client, owner, repo, branch }) {
+    try {
+        await client.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+        return true;
+    } catch (error) {
+        if (error.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
 module.exports = {
-    ghBotUsername: 'github-actions[bot]',
-    ghBotEmail: '41898282+github-actions[bot]@users.noreply.github.com',
+    ghBotUsername: BOT_USERNAME,
+    ghBotEmail: BOT_EMAIL,
+    branchExists,
+    commitFiles,
+    createBranch,
 }
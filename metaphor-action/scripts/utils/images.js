@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const core = require('@actions/core');
+const { HttpClient } = require('@actions/http-client');
+const getFile = require('./getFile');
+
+const IMAGE_HOSTS = [
+  'https://user-images.githubusercontent.com/',
+  'https://private-user-images.githubusercontent.com/',
+  'https://github.com/user-attachments/assets/',
+];
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif',
+};
+
+/**
+ * Finds the URLs of images uploaded to GitHub in a markdown document, in markdown (`![alt](url)`) and HTML (`<img src="url">`) form.
+ * @function findImageUrls
+ * @param {string} markdown - The markdown document.
+ * @returns {string[]} The unique image URLs, in order of appearance.
+ */
+function findImageUrls(markdown) {
+  const pattern = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+  const urls = [...markdown.matchAll(pattern)].map(match => match[1] || match[2]);
+  return [...new Set(urls)].filter(url => IMAGE_HOSTS.some(host => url.startsWith(host)));
+}
+
+/**
+ * Reads a response body, stopping the download as soon as it grows past the size limit.
+ * @function readLimitedBody
+ * @param {Object} message - The `IncomingMessage` of the response.
+ * @param {number} maxSize - The maximum size of the body in bytes.
+ * @returns {Promise<Buffer>} A Promise that resolves with the body.
+ * @throws {Error} When the body is larger than `maxSize`.
+ */
+function readLimitedBody(message, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    message.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        message.destroy();
+        reject(new Error(`the image exceeds the ${maxSize} bytes limit`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    message.on('end', () => resolve(Buffer.concat(chunks)));
+    message.on('error', reject);
+  });
+}
+
+/**
+ * Downloads an image, enforcing the size limit and the allowed MIME types.
+ * @async
+ * @function downloadImage
+ * @param {string} url - The URL of the image.
+ * @param {Object} options - Download limits.
+ * @param {number} options.maxSize - The maximum size of the image in bytes.
+ * @param {string[]} options.types - The allowed MIME types.
+ * @returns {Promise<{ content: Buffer, type: string }>} A Promise that resolves with the image and its MIME type.
+ * @throws {Error} When the download fails or the image is too large or of a disallowed type.
+ */
+async function downloadImage(url, { maxSize, types }) {
+  const http = new HttpClient('metaphor-action');
+  const response = await http.get(url);
+  const status = response.message.statusCode;
+  if (status !== 200) {
+    response.message.resume();
+    throw new Error(`download failed with HTTP ${status}`);
+  }
+
+  const type = String(response.message.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!types.includes(type)) {
+    response.message.resume();
+    throw new Error(`${type || 'unknown'} is not an allowed image type (${types.join(', ')})`);
+  }
+
+  const length = Number(response.message.headers['content-length']);
+  if (length > maxSize) {
+    response.message.resume();
+    throw new Error(`${length} bytes exceeds the ${maxSize} bytes limit`);
+  }
+
+  // `content-length` is optional, the limit is enforced while downloading too
+  const content = await readLimitedBody(response.message, maxSize);
+
+  return { content, type };
+}
+
+/**
+ * Downloads the GitHub hosted images of a story and rewrites its links to copies committed next to the story,
+ * in a directory named after the story slug. Images that cannot be re-hosted keep their original link.
+ * @async
+ * @function rehostImages
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the story and where its images go.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration, providing `imageMaxSize` and `imageTypes`.
+ * @param {string} options.document - The rendered story document.
+ * @param {string} options.storyPath - The path of the story file.
+ * @returns {Promise<{ document: string, files: Array<Object> }>} A Promise that resolves with the rewritten document and the image files to commit.
+ */
+async function rehostImages(client, { owner, repo, config, document, storyPath }) {
+  const urls = findImageUrls(document);
+  if (urls.length === 0) {
+    return { document, files: [] };
+  }
+
+  const directory = storyPath.slice(0, storyPath.lastIndexOf('/') + 1);
+  const slug = storyPath.slice(directory.length).replace(/\.[^.]+$/, '');
+  const files = [];
+  let rewritten = document;
+
+  for (const url of urls) {
+    // Named after the URL without its query string, which holds expiring tokens for private images
+    const name = crypto.createHash('sha1').update(url.split('?')[0]).digest('hex').slice(0, 12);
+    try {
+      const { content, type } = await downloadImage(url, { maxSize: config.imageMaxSize, types: config.imageTypes });
+      const fileName = `${name}.${IMAGE_EXTENSIONS[type] || 'img'}`;
+      const path = `${directory}${slug}/${fileName}`;
+
+      const existing = await getFile(client, { owner, repo, path, ref: config.targetBranch || undefined });
+      if (!existing) {
+        files.push({ path, content });
+      }
+      rewritten = rewritten.split(url).join(`./${slug}/${fileName}`);
+      console.log(`Re-hosted ${url} as ${path}`);
+    } catch (error) {
+      core.warning(`Image ${url} was not re-hosted and stays hot-linked: ${error.message}`, {
+        title: 'Image not re-hosted'
+      });
+    }
+  }
+
+  return { document: rewritten, files };
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  downloadImage,
+  findImageUrls,
+  rehostImages,
+};
@@ -0,0 +1,121 @@
+const core = require('@actions/core');
+const getFile = require('./getFile');
+const isValidJson = require('./isValidJson');
+const { parseFrontMatter } = require('./frontMatter');
+const { renderFeeds } = require('./feeds');
+
+/**
+ * Builds the path of the manifest listing every published story, or the stories of one category.
+ * @function manifestPath
+ * @param {Object} config - The action configuration, providing `storiesRoot`.
+ * @param {Object} [category] - The category of the manifest, omitted for the global manifest.
+ * @returns {string} The path of the `index.json` manifest.
+ */
+function manifestPath(config, category) {
+  return [config.storiesRoot, category && category.directory, 'index.json'].filter(Boolean).join('/');
+}
+
+/**
+ * Builds the manifest entry of a story from its rendered front matter.
+ * @function manifestEntry
+ * @param {Object} options - An object containing the story.
+ * @param {Object} options.issueData - The issue data object of the story.
+ * @param {Object} options.category - The category of the story.
+ * @param {string} options.path - The path of the story file.
+ * @param {string} options.slug - The slug of the story.
+ * @param {string} options.document - The rendered story document.
+ * @returns {Object} The entry, with `title`, `slug`, `author`, `category`, `date`, `issue` and `path`.
+ */
+function manifestEntry({ issueData, category, path, slug, document }) {
+  const { data } = parseFrontMatter(document);
+  const fields = data || {};
+  return {
+    title: fields.title || issueData.title,
+    slug,
+    author: fields.author || issueData.user.login,
+    category: category.name,
+    date: fields.created_at || issueData.created_at,
+    issue: issueData.number,
+    path,
+  };
+}
+
+/**
+ * Reads the global manifest.
+ * @async
+ * @function readManifest
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the location of the manifest.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {string} [options.ref] - The branch to read from, defaults to the target branch.
+ * @returns {Promise<Array<Object>>} A Promise that resolves with the manifest entries, empty when there is no manifest yet.
+ */
+async function readManifest(client, { owner, repo, config, ref = config.targetBranch || undefined }) {
+  const path = manifestPath(config);
+  const file = await getFile(client, { owner, repo, path, ref });
+  if (!file) {
+    return [];
+  }
+  if (!isValidJson(file.content) || !Array.isArray(JSON.parse(file.content))) {
+    core.warning(`${path} is not a JSON array, it will be rebuilt`);
+    return [];
+  }
+  return JSON.parse(file.content);
+}
+
+/**
+ * Adds, replaces or removes the entry of a story in the global manifest and regenerates the manifests of the
+ * categories involved, along with their feeds when `feeds` is enabled. Entries are keyed by issue number and sorted newest first.
+ * @async
+ * @function updateManifests
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the change and the location of the manifests.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {number} options.issue - The number of the issue of the story.
+ * @param {Object|null} options.entry - The new entry of the story, or null to remove it.
+ * @param {string} [options.ref] - The branch the files are committed to, defaults to the target branch.
+ * @returns {Promise<Array<Object>>} A Promise that resolves with the manifest and feed files to commit, leaving out the ones that are up to date.
+ */
+async function updateManifests(client, { owner, repo, config, issue, entry, ref = config.targetBranch || undefined }) {
+  const manifest = await readManifest(client, { owner, repo, config, ref });
+  const previous = manifest.find(item => item.issue === issue);
+  const entries = manifest.filter(item => item.issue !== issue);
+  if (entry) {
+    entries.push(entry);
+  }
+  entries.sort((a, b) => String(b.date).localeCompare(String(a.date)) || b.issue - a.issue);
+
+  const names = [...new Set([previous && previous.category, entry && entry.category].filter(Boolean))];
+  const manifests = [{ path: manifestPath(config), entries }];
+  names.forEach(name => {
+    const category = config.categories.find(category => category.name === name);
+    if (category) {
+      manifests.push({ path: manifestPath(config, category), entries: entries.filter(item => item.category === name), category });
+    }
+  });
+
+  const generated = manifests.flatMap(target => [
+    { path: target.path, content: `${JSON.stringify(target.entries, undefined, 2)}\n` },
+    ...(config.feeds ? renderFeeds(config, { owner, repo, ...target }) : []),
+  ]);
+
+  const files = [];
+  for (const { path, content } of generated) {
+    const existing = await getFile(client, { owner, repo, path, ref });
+    if (!existing || existing.content !== content) {
+      files.push({ path, content });
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  manifestEntry,
+  manifestPath,
+  readManifest,
+  updateManifests,
+};
@@ -0,0 +1,95 @@
+const DEFAULT_FORM_FIELDS = {
+  'title': 'title',
+  'summary': 'summary',
+  'language': 'language',
+  'tags': 'tags',
+  'cover image': 'cover_image',
+  'difficulty': 'difficulty',
+  'story': 'content',
+};
+
+const LIST_FIELDS = ['tags'];
+
+const NO_RESPONSE = '_No response_';
+
+/**
+ * Normalizes an issue form heading for lookups, e.g. `Cover Image:` becomes `cover image`.
+ * @param {string} heading - The heading text.
+ * @returns {string} The normalized heading.
+ */
+function normalizeHeading(heading) {
+  return heading.trim().replace(/[:*_]+$/g, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Converts the raw answer of an issue form section into a front matter value.
+ * @param {string} field - The front matter field the section maps to.
+ * @param {string} value - The answer, trimmed.
+ * @returns {string|string[]} The front matter value.
+ */
+function toFieldValue(field, value) {
+  if (LIST_FIELDS.includes(field)) {
+    return value.split(/[,\n]+/).map(item => item.replace(/^[-*]\s+/, '').trim()).filter(Boolean);
+  }
+  if (field === 'cover_image') {
+    const image = value.match(/!\[[^\]]*\]\(([^)\s]+)[^)]*\)|<img[^>]+src="([^"]+)"/);
+    return image ? image[1] || image[2] : value;
+  }
+  return value;
+}
+
+/**
+ * Parses the body of an issue created from a GitHub issue form. Issue forms render every answer as a
+ * `### Label` section; the sections listed in `formFields` become front matter fields and the section mapped to
+ * `content` becomes the story. Unknown sections following the story are part of it, other unknown sections are
+ * kept as content when the form has no story section. Only bodies starting with a section are issue forms: other
+ * bodies are plain markdown stories, returned unchanged even when they contain `### ` headings.
+ * @function parseIssueForm
+ * @param {string} body - The issue body.
+ * @param {Object} [formFields] - Maps section headings (case-insensitive) to front matter fields, `content` being the story.
+ * @returns {{ fields: Object, content: string }} The front matter fields and the story content.
+ */
+module.exports = (body, formFields = DEFAULT_FORM_FIELDS) => {
+  const text = (body || '').replace(/\r\n/g, '\n');
+  if (!/^\s*###[ \t]+\S/.test(text)) {
+    return { fields: {}, content: text };
+  }
+  const headings = [...text.matchAll(/^###[ \t]+(.+)$/gm)];
+
+  const mapping = Object.fromEntries(Object.entries(formFields).map(([heading, field]) => [normalizeHeading(heading), field]));
+  const fields = {};
+  const unmapped = [];
+  let content = null;
+
+  headings.forEach((heading, index) => {
+    const start = heading.index + heading[0].length;
+    const end = index + 1 < headings.length ? headings[index + 1].index : text.length;
+    const value = text.slice(start, end).trim();
+    const field = mapping[normalizeHeading(heading[1])];
+
+    if (!field) {
+      // Headings written inside the story itself belong to the story
+      if (content !== null) {
+        content = `${content}\n\n${heading[0]}\n\n${value}`.trim();
+      } else {
+        unmapped.push(`${heading[0]}\n\n${value}`);
+      }
+      return;
+    }
+    if (value === '' || value === NO_RESPONSE) {
+      return;
+    }
+    if (field === 'content') {
+      content = value;
+      return;
+    }
+    fields[field] = toFieldValue(field, value);
+  });
+
+  return {
+    fields,
+    content: content !== null ? content : unmapped.join('\n\n'),
+  };
+}
+
+module.exports.DEFAULT_FORM_FIELDS = DEFAULT_FORM_FIELDS;
@@ -0,0 +1,83 @@
+const core = require('@actions/core');
+const { commitFiles, createBranch } = require('./git');
+
+/**
+ * Publishes files through a pull request: commits them to a dedicated branch and opens a pull request
+ * against the base branch, reusing the branch and pull request of a previous run when they exist.
+ * @async
+ * @function publishPullRequest
+ * @param {Object} options - An object containing options for the pull request.
+ * @param {Object} options.client - The authenticated Octokit REST client.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {string} options.base - The branch the pull request is merged into.
+ * @param {string} options.branch - The branch holding the changes.
+ * @param {string} options.message - The commit message.
+ * @param {Array<Object>} options.files - The file changes, as accepted by `commitFiles`.
+ * @param {string} options.title - The title of the pull request.
+ * @param {string} options.body - The description of the pull request.
+ * @param {boolean} [options.autoMerge] - Enable auto-merge (squash) on the pull request.
+ * @returns {Promise<{ sha: string, number: number, url: string }>} A Promise that resolves with the commit sha and the number and URL of the pull request.
+ */
+const publishPullRequest = async ({ client, owner, repo, base, branch, message, files, title, body, autoMerge }) => {
+  await createBranch({ client, owner, repo, branch, from: base });
+  const commit = await commitFiles({ client, owner, repo, branch, message, files });
+
+  const existing = await client.rest.pulls.list({
+    owner,
+    repo,
+    head: `${owner}:${branch}`,
+    base,
+    state: 'open',
+  });
+
+  const pullRequest = existing.data.length > 0
+    ? existing.data[0]
+    : (await client.rest.pulls.create({ owner, repo, head: branch, base, title, body })).data;
+  console.log(`Pull request #${pullRequest.number}: ${pullRequest.html_url}`);
+
+  // The pull request is open at this point: a failed auto-merge is reported, and the pull request is merged by hand
+  if (autoMerge) {
+    try {
+      await client.graphql(`
+        mutation ($pullRequestId: ID!) {
+          enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: SQUASH }) {
+            clientMutationId
+          }
+        }
+      `, { pullRequestId: pullRequest.node_id });
+      console.log(`Auto-merge enabled on pull request #${pullRequest.number}`);
+    } catch (error) {
+      core.warning(`Enabling auto-merge on pull request #${pullRequest.number} failed: ${error.message}. Merge it by hand, or allow auto-merge in the repository settings.`, {
+        title: 'Auto-merge not enabled'
+      });
+    }
+  }
+
+  return { sha: commit.sha, number: pullRequest.number, url: pullRequest.html_url };
+}
+
+/**
+ * Builds the hidden marker that ties a story pull request to its issue, for the description of the pull request.
+ * @function issueMarker
+ * @param {number} issueNumber - The number of the story issue.
+ * @returns {string} The HTML comment.
+ */
+function issueMarker(issueNumber) {
+  return `<!-- metaphor-issue: ${issueNumber} -->`;
+}
+
+/**
+ * Reads the story issue a pull request was opened for, from the marker of its description.
+ * @function markedIssue
+ * @param {string|null} body - The description of the pull request.
+ * @returns {number|null} The number of the issue, or null when the pull request was not opened by the action.
+ */
+function markedIssue(body) {
+  const match = String(body || '').match(/<!-- metaphor-issue: (\d+) -->/);
+  return match ? Number(match[1]) : null;
+}
+
+module.exports = publishPullRequest;
+module.exports.issueMarker = issueMarker;
+module.exports.markedIssue = markedIssue;
@@ -0,0 +1,21 @@
+const core = require('@actions/core');
+
+/**
+ * Reports a handler run that stopped without changing anything: a notice annotation titled with the reason, the
+ * `skip-reason` output and the failed decision of the job summary.
+ * @function reportSkip
+ * @param {Object} report - The job summary report of the run.
+ * @param {Object} skip - What was skipped and why.
+ * @param {string} skip.heading - The outcome, e.g. `Story not updated`, used as annotation title and summary heading.
+ * @param {string} skip.subject - What did not happen, e.g. `Issue #7 was not published`.
+ * @param {string} skip.reason - The machine-readable reason, e.g. `no-story-file`.
+ * @param {string} skip.details - The explanation, completing "<subject> because ...".
+ * @returns {boolean} Always false, for the handler to return.
+ */
+module.exports = (report, { heading, subject, reason, details }) => {
+  core.notice(`${subject} because ${details}.`, { title: `${heading}: ${reason}` });
+  report.heading = `${heading} (${reason})`;
+  report.decisions.push({ passed: false, text: `${details[0].toUpperCase()}${details.slice(1)}` });
+  core.setOutput('skip-reason', reason);
+  return false;
+}
@@ -0,0 +1,37 @@
+const core = require('@actions/core');
+
+/**
+ * Resolves the configured reviewers into a list of GitHub logins.
+ * Entries in the form `org/team-slug` (optionally prefixed with `@`) are expanded to the members of that team.
+ * @async
+ * @function resolveReviewers
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {string[]} reviewers - The configured reviewer logins and team slugs.
+ * @returns {Promise<string[]>} A Promise that resolves with the lowercased logins of every approved reviewer.
+ */
+module.exports = async (client, reviewers) => {
+  const logins = new Set();
+
+  for (const entry of reviewers) {
+    const reviewer = entry.replace(/^@/, '');
+
+    if (!reviewer.includes('/')) {
+      logins.add(reviewer.toLowerCase());
+      continue;
+    }
+
+    const [org, team_slug] = reviewer.split('/');
+    try {
+      const members = await client.paginate(client.rest.teams.listMembersInOrg, {
+        org,
+        team_slug,
+        per_page: 100,
+      });
+      members.forEach(member => logins.add(member.login.toLowerCase()));
+    } catch (error) {
+      core.warning(`Unable to list members of team ${org}/${team_slug}, the token probably lacks the read:org scope: ${error.message}`);
+    }
+  }
+
+  return [...logins];
+}
@@ -1,11 +1,49 @@
-module.exports = (text) => {
-    return text
-      .toString()                   // Cast to string (optional)
-      .normalize('NFKD')            // The normalize() using NFKD method returns the Unicode Normalization Form of a given string.
-      .toLowerCase()                // Convert the string to lowercase letters
-      .trim()                       // Remove whitespace from both sides of a string (optional)
-      .replace(/\s+/g, '-')         // Replace spaces with -
-      .replace(/[^\w\-]+/g, '')     // Remove all non-word chars
-      .replace(/\-\-+/g, '-')       // Replace multiple - with single -
-      .replace(/\-$/g, '');         // Remove trailing -
-  }
\ No newline at end of file
+const crypto = require('crypto');
+const { transliterate } = require('transliteration');
+
+const HASH_LENGTH = 8;
+
+/**
+ * Turns a text into a URL and file name safe slug.
+ * @function slugify
+ * @param {string} text - The text to slugify.
+ * @param {Object} [options] - Slug options.
+ * @param {string} [options.fallback] - The slug used when nothing is left of the text, e.g. `issue-42`.
+ * @param {number} [options.maxLength] - The maximum length of the slug, hash suffix included.
+ * @param {boolean} [options.hash] - Append a short hash of the original text, so the slug stays unique and stable even when truncated or transliterated.
+ * @returns {string} The slug.
+ * @throws {Error} When `maxLength` leaves no room for a character and the hash suffix.
+ */
+module.exports = (text, { fallback = '', maxLength = 0, hash = false } = {}) => {
+    if (hash && maxLength > 0 && maxLength < HASH_LENGTH + 2) {
+      throw new Error(`Slugs with a hash need a maximum length of at least ${HASH_LENGTH + 2}, got ${maxLength}`);
+    }
+    const source = text.toString();         // Cast to string (optional)
+    const suffix = hash ? crypto.createHash('sha1').update(source).digest('hex').slice(0, HASH_LENGTH) : '';
+
+    let slug = transliterate(source)        // Transliterate non-Latin scripts (Cyrillic, Greek, Arabic, CJK, ...) to Latin
+      .normalize('NFKD')                    // The normalize() using NFKD method returns the Unicode Normalization Form of a given string.
+      .toLowerCase()                        // Convert the string to lowercase letters
+      .trim()                               // Remove whitespace from both sides of a string (optional)
+      .replace(/\s+/g, '-')                 // Replace spaces with -
+      .replace(/[^\w\-]+/g, '')             // Remove all non-word chars
+      .replace(/\-\-+/g, '-')               // Replace multiple - with single -
+      .replace(/^\-+|\-+$/g, '');           // Remove leading and trailing -
+
+    if (slug === '') {
+      slug = fallback;
+    }
+
+    if (maxLength > 0) {
+      const limit = suffix ? maxLength - suffix.length - 1 : maxLength;
+      if (slug.length > limit) {
+        const truncated = slug.slice(0, limit);
+        const lastDash = truncated.lastIndexOf('-');
+        slug = (lastDash > limit / 2 ? truncated.slice(0, lastDash) : truncated).replace(/\-+$/g, '');
+      }
+    }
+
+    return [slug, suffix].filter(Boolean).join('-');
+  }
+
+module.exports.HASH_LENGTH = HASH_LENGTH;
@@ -0,0 +1,158 @@
+const core = require('@actions/core');
+const { renderTemplate } = require('./template');
+const { parseFrontMatter, quoteYaml, stringifyFrontMatter } = require('./frontMatter');
+const parseIssueForm = require('./parseIssueForm');
+const { authorProfileFile, extractAuthorProfile } = require('./authorProfile');
+const { enrichAuthor } = require('./authorRegistry');
+
+// Front matter fields the action writes itself, which issue form answers never override
+const RESERVED_FIELDS = [
+  'layout',
+  'language',
+  'author',
+  'author_name',
+  'author_avatar',
+  'author_blog',
+  'author_twitter',
+  'author_profile',
+  'created_at',
+  'issue',
+];
+
+/**
+ * Builds the front matter fields of the GitHub profile of an author, leaving out what the author did not fill in.
+ * @param {Object} githubProfile - The profile returned by `enrichAuthor`.
+ * @returns {Object} The `author_name`, `author_avatar`, `author_blog` and `author_twitter` fields.
+ */
+function githubProfileFields(githubProfile) {
+  const fields = {
+    author_name: githubProfile.name,
+    author_avatar: githubProfile.avatar_url,
+    author_blog: githubProfile.blog,
+    author_twitter: githubProfile.twitter_username,
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
+
+/**
+ * Tells whether a story file was generated from the given issue, based on the `issue` field of its front matter.
+ * @function isStoryOfIssue
+ * @param {string} content - The content of the story file.
+ * @param {number} issueNumber - The number of the issue.
+ * @returns {boolean} True when the story belongs to the issue.
+ */
+function isStoryOfIssue(content, issueNumber) {
+  try {
+    const { data } = parseFrontMatter(content);
+    return !!data && Number(data.issue) === issueNumber;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Renders the story file of an issue and validates its front matter.
+ * The author block of the issue body is never published; a valid profile goes to the template as `authorProfile`,
+ * and to the front matter as `author_profile` when `profileInFrontMatter` is set. Issue form answers can replace the
+ * title, but not the fields of `RESERVED_FIELDS`; templates still receive every answer as `form`.
+ * @function renderStory
+ * @param {Object} issueData - The issue data object containing information about the issue, including title, user, created date, and body content.
+ * @param {Object} category - The category of the story, as declared in the category registry.
+ * @param {Object} options - Rendering options.
+ * @param {string} options.template - The Mustache template of the story file.
+ * @param {Object} options.reviewer - The approved reviewer assigned to the issue.
+ * @param {Object} [options.formFields] - Maps issue form section headings to front matter fields.
+ * @param {boolean} [options.profileInFrontMatter] - Write the author profile into the front matter.
+ * @param {Object} [options.githubProfile] - The public GitHub profile of the author, merged into the template `author`.
+ * @returns {{ document: string, authorProfile: Object|null }} The rendered story document and the author profile found in the issue.
+ * @throws {Error} When the rendered front matter is not valid YAML or lacks the `issue` number.
+ */
+function renderStory(issueData, category, { template, reviewer, formFields, profileInFrontMatter, githubProfile }) {
+  const { profile, body, errors } = extractAuthorProfile(issueData.body);
+  if (errors.length > 0) {
+    core.warning(`The author block of issue #${issueData.number} was ignored: ${errors.join('; ')}`, {
+      title: 'Invalid author profile'
+    });
+  }
+
+  const form = parseIssueForm(body, formFields);
+  const formFrontMatter = Object.fromEntries(Object.entries(form.fields).filter(([field]) => !RESERVED_FIELDS.includes(field)));
+  const frontMatter = stringifyFrontMatter({
+    layout: 'post',
+    title: issueData.title,
+    language: category.name,
+    ...formFrontMatter,
+    author: issueData.user.login,
+    ...(profileInFrontMatter && githubProfile ? githubProfileFields(githubProfile) : {}),
+    ...(profileInFrontMatter && profile ? { author_profile: profile } : {}),
+    created_at: new Date(issueData.created_at),
+    issue: issueData.number,
+  });
+
+  const document = renderTemplate(template, {
+    title: form.fields.title || issueData.title,
+    content: form.content,
+    form: form.fields,
+    issue: { ...issueData, body },
+    labels: issueData.labels.map(label => label.name),
+    category,
+    reviewer,
+    author: { ...issueData.user, ...githubProfile },
+    authorProfile: profile,
+    frontMatter,
+    yaml: () => (text, render) => quoteYaml(render(text)),
+  });
+  core.debug(`Rendered story of issue #${issueData.number}:\n${document}`)
+
+  let data;
+  try {
+    ({ data } = parseFrontMatter(document));
+  } catch (error) {
+    throw new Error(`The story generated for issue #${issueData.number} is invalid, check the story template. ${error.message}`);
+  }
+  // Published stories are found again by this field when their issue is edited, reopened or closed again
+  if (!data || Number(data.issue) !== issueData.number) {
+    throw new Error(`The story generated for issue #${issueData.number} has no \`issue: ${issueData.number}\` front matter field, check the story template. Print {{{frontMatter}}} or add \`issue: {{issue.number}}\` to its front matter.`);
+  }
+
+  return { document, authorProfile: profile };
+}
+
+/**
+ * Renders the story of an issue together with the author files that go in the same commit.
+ * @async
+ * @function prepareStory
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the story to prepare.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {Object} options.issueData - The issue data object of the story.
+ * @param {Object} options.category - The category of the story.
+ * @param {Object} options.reviewer - The approved reviewer assigned to the issue.
+ * @param {string} options.template - The Mustache template of the story file.
+ * @returns {Promise<{ document: string, files: Array<Object> }>} A Promise that resolves with the story document and the author files to commit.
+ */
+async function prepareStory(client, { owner, repo, config, issueData, category, reviewer, template }) {
+  const login = issueData.user.login;
+  const { profile: githubProfile, registryFile } = config.enrichAuthor
+    ? await enrichAuthor(client, { owner, repo, config, login })
+    : { profile: null, registryFile: null };
+
+  const { document, authorProfile } = renderStory(issueData, category, {
+    template,
+    reviewer,
+    formFields: config.formFields,
+    profileInFrontMatter: config.authorProfile === 'front-matter',
+    githubProfile,
+  });
+  const profileFile = await authorProfileFile(client, { owner, repo, config, login, profile: authorProfile });
+
+  return { document, files: [profileFile, registryFile].filter(Boolean) };
+}
+
+module.exports = {
+  isStoryOfIssue,
+  prepareStory,
+  renderStory,
+};
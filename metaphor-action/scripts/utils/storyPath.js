@@ -0,0 +1,224 @@
+const slugify = require('./slugify');
+const getFile = require('./getFile');
+const { isStoryOfIssue } = require('./story');
+const { readManifest } = require('./manifest');
+const { branchExists } = require('./git');
+
+const COLLISION_STRATEGIES = ['issue-number', 'author', 'date', 'fail'];
+
+const PATH_PLACEHOLDERS = ['root', 'category', 'slug', 'yyyy', 'mm', 'dd', 'issue', 'author'];
+
+/**
+ * Checks that a story path pattern only uses known placeholders and contains `{slug}`.
+ * @function validatePathPattern
+ * @param {string} pattern - The path pattern, e.g. `{root}/{category}/{yyyy}/{slug}.md`.
+ * @returns {string} The pattern.
+ * @throws {Error} When the pattern is invalid.
+ */
+function validatePathPattern(pattern) {
+  const placeholders = (pattern.match(/\{(\w+)\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+  const unknown = placeholders.filter(placeholder => !PATH_PLACEHOLDERS.includes(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder(s) in path pattern ${pattern}: ${unknown.join(', ')}. Use ${PATH_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+  }
+  if (!placeholders.includes('slug')) {
+    throw new Error(`Path pattern ${pattern} must contain {slug}`);
+  }
+  return pattern;
+}
+
+/**
+ * Builds the path of a story file from the path pattern.
+ * @function formatStoryPath
+ * @param {Object} config - The action configuration, providing `pathPattern` and `storiesRoot`.
+ * @param {Object} category - The category of the story.
+ * @param {Object} issueData - The issue data object of the story.
+ * @param {string} slug - The slug of the story.
+ * @returns {string} The path of the story file.
+ */
+function formatStoryPath(config, category, issueData, slug) {
+  const [yyyy, mm, dd] = issueData.created_at.slice(0, 10).split('-');
+  const values = {
+    root: config.storiesRoot,
+    category: category.directory,
+    slug,
+    yyyy,
+    mm,
+    dd,
+    issue: issueData.number,
+    author: slugify(issueData.user.login),
+  };
+
+  return config.pathPattern
+    .replace(/\{(\w+)\}/g, (placeholder, name) => values[name])
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Builds the alternative slug for a story whose slug is already taken, according to the collision strategy.
+ * @function alternativeSlug
+ * @param {string} slug - The slug derived from the story title.
+ * @param {Object} issueData - The issue data object of the story.
+ * @param {string} strategy - One of `issue-number`, `author` or `date`.
+ * @returns {string} The alternative slug.
+ */
+function alternativeSlug(slug, issueData, strategy) {
+  switch (strategy) {
+    case 'author':
+      return `${slug}-${slugify(issueData.user.login)}`;
+    case 'date':
+      return `${issueData.created_at.slice(0, 10)}-${slug}`;
+    default:
+      return `${slug}-${issueData.number}`;
+  }
+}
+
+/**
+ * Builds the name of the branch a story is proposed from in `pull-request` publish mode.
+ * @function storyBranch
+ * @param {string} slug - The slug of the story.
+ * @returns {string} The branch name.
+ */
+function storyBranch(slug) {
+  return `metaphor/${slug}`;
+}
+
+/**
+ * Derives the slug of a story from the title of its issue.
+ * @function storySlug
+ * @param {Object} config - The action configuration, providing the slug options.
+ * @param {Object} issueData - The issue data object of the story.
+ * @returns {string} The slug.
+ */
+function storySlug(config, issueData) {
+  return slugify(issueData.title, {
+    fallback: `issue-${issueData.number}`,
+    maxLength: config.slugMaxLength,
+    hash: config.slugHash,
+  });
+}
+
+/**
+ * Finds a free path for a story file. When the path derived from the title holds a story of another issue,
+ * the collision strategy decides which path is used instead, or fails the run.
+ * A path that already holds the story of the same issue is reused, so running the action twice updates the story.
+ * In `pull-request` publish mode each candidate is checked on its story branch when that branch exists, so stories
+ * waiting in open pull requests are taken into account.
+ * @async
+ * @function resolveStoryPath
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing options for the path resolution.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {Object} options.category - The category of the story.
+ * @param {Object} options.issueData - The issue data object of the story.
+ * @returns {Promise<{ path: string, slug: string, sha: string|undefined, ref: string|undefined }>} A Promise that resolves with the path and slug to use, the sha of the file to update, if any, and the branch the path was checked on.
+ */
+async function resolveStoryPath(client, { owner, repo, config, category, issueData }) {
+  const strategy = config.slugCollision;
+  const slug = storySlug(config, issueData);
+  const candidates = [slug];
+  if (strategy !== 'fail') {
+    candidates.push(alternativeSlug(slug, issueData, strategy));
+    if (strategy !== 'issue-number') {
+      candidates.push(`${candidates[1]}-${issueData.number}`);
+    }
+  }
+
+  for (const candidate of candidates) {
+    const path = formatStoryPath(config, category, issueData, candidate);
+    const branch = storyBranch(candidate);
+    const ref = config.publishMode === 'pull-request' && await branchExists({ client, owner, repo, branch })
+      ? branch
+      : config.targetBranch || undefined;
+    const existing = await getFile(client, { owner, repo, path, ref });
+
+    if (!existing) {
+      return { path, slug: candidate, sha: undefined, ref };
+    }
+    if (isStoryOfIssue(existing.content, issueData.number)) {
+      return { path, slug: candidate, sha: existing.sha, ref };
+    }
+    console.log(`${path} already holds another story`);
+  }
+
+  throw new Error(`Unable to publish issue #${issueData.number}: ${formatStoryPath(config, category, issueData, slug)} already holds another story (slug collision strategy: ${strategy})`);
+}
+
+/**
+ * Finds the published story file of an issue, using the `issue` field of its front matter.
+ * The paths every collision strategy could have picked for the current title are checked first; when the title
+ * has changed since publication, the path recorded in the manifest is tried, then the directory of the story is searched.
+ * @async
+ * @function findStoryFile
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} options - An object containing the location of the story.
+ * @param {string} options.owner - The owner of the GitHub repository.
+ * @param {string} options.repo - The name of the GitHub repository.
+ * @param {Object} options.config - The action configuration.
+ * @param {Object} options.category - The category of the story.
+ * @param {Object} options.issueData - The issue data object of the story.
+ * @returns {Promise<{ path: string, slug: string, content: string, sha: string }|null>} A Promise that resolves with the story file, or null when the issue has no published story.
+ */
+async function findStoryFile(client, { owner, repo, config, category, issueData }) {
+  const ref = config.targetBranch || undefined;
+  const slug = storySlug(config, issueData);
+  const slugs = [slug, ...['issue-number', 'author', 'date'].map(strategy => alternativeSlug(slug, issueData, strategy))];
+
+  for (const candidate of slugs) {
+    const path = formatStoryPath(config, category, issueData, candidate);
+    const file = await getFile(client, { owner, repo, path, ref });
+    if (file && isStoryOfIssue(file.content, issueData.number)) {
+      return { path, slug: candidate, ...file };
+    }
+  }
+
+  const entry = (await readManifest(client, { owner, repo, config })).find(item => item.issue === issueData.number);
+  if (entry) {
+    const file = await getFile(client, { owner, repo, path: entry.path, ref });
+    if (file && isStoryOfIssue(file.content, issueData.number)) {
+      return { path: entry.path, slug: entry.slug, ...file };
+    }
+  }
+
+  // The title changed since publication: search the directory of the story, unless the slug is part of it
+  const pattern = formatStoryPath(config, category, issueData, '\u0000');
+  const directory = pattern.slice(0, pattern.lastIndexOf('/'));
+  if (directory.includes('\u0000')) {
+    return null;
+  }
+
+  let entries;
+  try {
+    const response = await client.rest.repos.getContent({ owner, repo, path: directory, ref });
+    entries = Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+
+  const [prefix, extension] = pattern.slice(directory.length + 1).split('\u0000');
+  const names = entries.filter(entry => entry.type === 'file' && entry.name.startsWith(prefix) && entry.name.endsWith(extension));
+  for (const entry of names) {
+    const file = await getFile(client, { owner, repo, path: entry.path, ref });
+    if (file && isStoryOfIssue(file.content, issueData.number)) {
+      return { path: entry.path, slug: entry.name.slice(prefix.length, entry.name.length - extension.length), ...file };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  COLLISION_STRATEGIES,
+  findStoryFile,
+  formatStoryPath,
+  resolveStoryPath,
+  storyBranch,
+  validatePathPattern,
+};
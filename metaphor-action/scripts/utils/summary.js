@@ -0,0 +1,69 @@
+const core = require('@actions/core');
+const { stringifyFrontMatter } = require('./frontMatter');
+
+/**
+ * Escapes text for the HTML of the job summary.
+ * @function escapeHtml
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the link to a file of the repository for the job summary.
+ * @function fileLink
+ * @param {string} owner - The owner of the GitHub repository.
+ * @param {string} repo - The name of the GitHub repository.
+ * @param {string} branch - The branch holding the file.
+ * @param {string} path - The path of the file.
+ * @returns {string} The HTML link.
+ */
+function fileLink(owner, repo, branch, path) {
+  return `<a href="https://github.com/${owner}/${repo}/blob/${encodeURI(branch)}/${encodeURI(path)}">${escapeHtml(path)}</a>`;
+}
+
+/**
+ * Writes the job summary of a handler run: a table of the issue, the decisions taken and their outcome, and a
+ * preview of the front matter of the story. A summary that cannot be written only logs a warning.
+ * @async
+ * @function writeStorySummary
+ * @param {Object} report - What the handler did.
+ * @param {string} report.heading - The outcome, e.g. `Story published`.
+ * @param {Object} [report.issue] - The issue data object, once it has been fetched.
+ * @param {Array<{ passed: boolean, text: string }>} report.decisions - The checks made, in order.
+ * @param {Array<string[]>} [report.rows] - More table rows, as label and HTML value pairs.
+ * @param {Object} [report.frontMatter] - The front matter of the story.
+ * @returns {Promise<void>} A Promise that resolves when the summary has been written.
+ */
+async function writeStorySummary({ heading, issue, decisions, rows = [], frontMatter }) {
+  try {
+    const decisionPath = decisions
+      .map(decision => `${decision.passed ? '✅' : '❌'} ${escapeHtml(decision.text)}`)
+      .join('<br>');
+
+    core.summary
+      .addHeading(escapeHtml(heading), 2)
+      .addTable([
+        [{ data: 'Issue', header: true }, issue ? `<a href="${issue.html_url}">#${issue.number}</a> ${escapeHtml(issue.title)}` : '-'],
+        [{ data: 'Decision', header: true }, decisionPath || '-'],
+        ...rows.map(([label, value]) => [{ data: label, header: true }, value]),
+      ]);
+    if (frontMatter) {
+      core.summary
+        .addHeading('Front matter', 3)
+        .addCodeBlock(escapeHtml(stringifyFrontMatter(frontMatter)), 'yaml');
+    }
+    await core.summary.write();
+  } catch (error) {
+    core.summary.emptyBuffer();
+    core.warning(`Unable to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  escapeHtml,
+  fileLink,
+  writeStorySummary,
+};
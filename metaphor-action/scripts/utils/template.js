@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+const getFile = require('./getFile');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'stories.txt');
+
+/**
+ * Loads the story template. Without a template path the bundled `templates/stories.txt` is used,
+ * otherwise the template is read from the repository the action runs in.
+ * @async
+ * @function loadTemplate
+ * @param {Object} client - The authenticated Octokit REST client.
+ * @param {Object} context - The context object containing information about the GitHub repository.
+ * @param {string} [templatePath] - The path of the template file in the repository.
+ * @returns {Promise<string>} A Promise that resolves with the template source.
+ */
+async function loadTemplate(client, context, templatePath) {
+  if (!templatePath) {
+    return fs.readFileSync(DEFAULT_TEMPLATE_PATH, 'utf8');
+  }
+
+  const file = await getFile(client, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    path: templatePath,
+  });
+  if (!file) {
+    throw new Error(`Story template ${templatePath} does not exist in ${context.repo.owner}/${context.repo.repo}`);
+  }
+  return file.content;
+}
+
+/**
+ * Renders a Mustache story template. Values are inserted verbatim, since stories are markdown and not HTML.
+ * @function renderTemplate
+ * @param {string} template - The template source.
+ * @param {Object} view - The values available to the template.
+ * @returns {string} The rendered story.
+ */
+function renderTemplate(template, view) {
+  return Mustache.render(template, view, {}, { escape: value => value });
+}
+
+module.exports = {
+  loadTemplate,
+  renderTemplate,
+};
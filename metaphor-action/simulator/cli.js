@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const core = require('@actions/core');
+const { readFiles, simulate } = require('./simulate');
+
+const USAGE = `Usage: metaphor-action simulate --event <event>[.<action>] --payload <file> [options]
+
+Runs the action against an in-memory fake of GitHub and prints the comments, labels and file writes it made.
+
+Options:
+  --event <event>        The event name and action, e.g. issues.closed, issues.opened or workflow_dispatch
+  --payload <file>       The webhook payload, as JSON
+  --repo <owner/name>    The repository, defaults to the payload repository or owner/repo
+  --files <directory>    Files of the default branch, e.g. existing stories or .github/metaphor-action.yml
+  --issues <file>        More issues of the repository, as a JSON array, for backfills
+  --input <name=value>   An action input, may be repeated, e.g. --input publish-mode=pull-request
+  --help                 Show this help`;
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} argv - The arguments, without the node executable and script.
+ * @returns {Object} The command and its options.
+ * @throws {Error} When an option is unknown or has no value.
+ */
+function parseArgs(argv) {
+  const args = { command: argv[0], inputs: {} };
+  for (let index = 1; index < argv.length; index++) {
+    const option = argv[index];
+    if (option === '--help') {
+      args.help = true;
+      continue;
+    }
+    const value = argv[++index];
+    if (!option.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument ${option}`);
+    }
+    if (option === '--input') {
+      const separator = value.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`--input expects name=value, got ${value}`);
+      }
+      args.inputs[value.slice(0, separator)] = value.slice(separator + 1);
+    } else if (['--event', '--payload', '--repo', '--files', '--issues'].includes(option)) {
+      args[option.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option ${option}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Formats the content of a written file for the report.
+ * @param {Buffer} content - The file content.
+ * @returns {string} The content as text, or its size for binary files.
+ */
+function formatContent(content) {
+  const text = content.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(content) && !text.includes('\u0000')
+    ? text.replace(/^/gm, '    ')
+    : `    (${content.length} bytes)`;
+}
+
+/**
+ * Prints what the action did to the fake repository.
+ * @param {Object} state - The state of the fake Octokit.
+ * @param {Object} outputs - The outputs of the action.
+ * @param {string} summary - The job summary of the action.
+ */
+function printReport(state, outputs, summary) {
+  const lines = ['', '=== Simulation report ==='];
+  state.comments.forEach(comment => lines.push(`Comment on #${comment.issue}:`, comment.body.replace(/^/gm, '    ')));
+  state.reviews.forEach(review => lines.push(`Review on pull request #${review.pull} (${review.event}):`, review.body.replace(/^/gm, '    ')));
+  state.labels.forEach(change => lines.push(`Labels of #${change.issue}: ${change.action} ${change.labels.join(', ')}`));
+  state.commits.forEach(commit => {
+    lines.push(`Commit ${commit.sha.slice(0, 7)} "${commit.message}":`);
+    commit.changes.forEach(change => lines.push(change.deleted
+      ? `  delete ${change.path}`
+      : `  write ${change.path}\n${formatContent(change.content)}`));
+  });
+  state.pulls.forEach(pull => lines.push(`Pull request #${pull.number} "${pull.title}" from ${pull.head} into ${pull.base}`));
+  state.mutations.forEach(mutation => lines.push(`GraphQL ${JSON.stringify(mutation.variables)}:${mutation.query.replace(/\s+/g, ' ')}`));
+  Object.entries(outputs).forEach(([name, value]) => lines.push(`Output ${name}:${value.includes('\n') ? `\n${value.replace(/^/gm, '    ')}` : ` ${value}`}`));
+  if (lines.length === 2) {
+    lines.push('Nothing was written');
+  }
+  if (summary) {
+    lines.push('Job summary:', summary.trimEnd().replace(/^/gm, '    '));
+  }
+  console.log(lines.join('\n'));
+}
+
+(async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (args.help || args.command !== 'simulate' || !args.event || !args.payload) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 2);
+  }
+
+  try {
+    const payload = JSON.parse(fs.readFileSync(args.payload, 'utf8'));
+    const action = args.event.split('.')[1];
+    if (action) {
+      payload.action = action;
+    }
+    const { state, outputs, summary, failed } = await simulate({
+      eventName: args.event.split('.')[0],
+      payload,
+      repository: args.repo,
+      inputs: args.inputs,
+      files: args.files ? readFiles(args.files) : {},
+      issues: args.issues ? JSON.parse(fs.readFileSync(args.issues, 'utf8')) : [],
+    });
+    printReport(state, outputs, summary);
+    if (failed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    core.setFailed(error.message);
+  }
+})()
@@ -0,0 +1,31 @@
+/**
+ * Builds the workflow context the handlers read, with the fields `github.context` of `@actions/github` exposes,
+ * from a webhook payload instead of the `GITHUB_*` environment variables of a runner.
+ * @function createContext
+ * @param {Object} options - The event to simulate.
+ * @param {string} options.eventName - The event name, e.g. `issues` or `workflow_dispatch`.
+ * @param {Object} options.payload - The webhook payload, with its `action`.
+ * @param {string} options.repository - The repository, as `owner/name`.
+ * @returns {Object} The context: `eventName`, `payload`, `repo`, `issue` and the run metadata.
+ */
+module.exports = ({ eventName, payload, repository }) => {
+  const [owner, repo] = repository.split('/');
+  const subject = payload.issue || payload.pull_request || payload;
+  return {
+    payload,
+    eventName,
+    sha: '0000000000000000000000000000000000000000',
+    ref: 'refs/heads/main',
+    workflow: 'simulate',
+    action: 'metaphor-action',
+    actor: payload.sender ? payload.sender.login : owner,
+    job: 'simulate',
+    runNumber: 1,
+    runId: 1,
+    apiUrl: 'https://api.github.com',
+    serverUrl: 'https://github.com',
+    graphqlUrl: 'https://api.github.com/graphql',
+    repo: { owner, repo },
+    issue: { owner, repo, number: subject.number },
+  };
+}
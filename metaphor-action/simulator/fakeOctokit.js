@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+/**
+ * Builds the error Octokit throws for a failed request.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @returns {Error} The error, with its `status`.
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Creates an in-memory fake of the Octokit endpoints the action uses: issues, repository contents, the Git Data API,
+ * pull requests, team members and users. Commits build real trees, so files written by one handler can be read by
+ * the next, and every write is kept in `state` for inspection.
+ * @function createFakeOctokit
+ * @param {Object} [options] - The initial state of the fake repository.
+ * @param {string} [options.owner] - The owner of the repository.
+ * @param {string} [options.repo] - The name of the repository.
+ * @param {string} [options.defaultBranch] - The default branch.
+ * @param {Object} [options.files] - The files of the default branch, mapping paths to contents.
+ * @param {Array<Object>} [options.issues] - The issues of the repository, as returned by the REST API.
+ * @param {Object} [options.teams] - Maps `org/team` slugs to the logins of their members.
+ * @param {Object} [options.users] - Maps logins to the profiles returned by the users API.
+ * @returns {{ client: Object, state: Object }} The fake client and its state: `branches`, `comments`, `labels`,
+ * `pulls`, `commits` (with their `changes`), `reviews` and `mutations`.
+ */
+function createFakeOctokit({ owner = 'owner', repo = 'repo', defaultBranch = 'main', files = {}, issues = [], teams = {}, users = {} } = {}) {
+  const blobs = new Map();
+  const commits = new Map();
+  let counter = 0;
+
+  const storeBlob = content => {
+    const buffer = Buffer.from(content);
+    const sha = crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+    blobs.set(sha, buffer);
+    return sha;
+  };
+  const nextSha = kind => crypto.createHash('sha1').update(`${kind} ${++counter}`).digest('hex');
+
+  const rootSha = nextSha('commit');
+  commits.set(rootSha, { tree: new Map(Object.entries(files).map(([path, content]) => [path, storeBlob(content)])), message: 'Initial commit' });
+  const trees = new Map();
+
+  const state = {
+    branches: new Map([[defaultBranch, rootSha]]),
+    issues: new Map(issues.map(issue => [issue.number, { state: 'open', labels: [], assignees: [], ...issue }])),
+    comments: [],
+    labels: [],
+    pulls: [],
+    reviews: [],
+    commits: [],
+    mutations: [],
+  };
+
+  const findIssue = issue_number => {
+    const issue = state.issues.get(Number(issue_number));
+    if (!issue) {
+      throw requestError(404, `Issue #${issue_number} not found`);
+    }
+    return issue;
+  };
+  const treeOf = ref => {
+    const branch = (ref || defaultBranch).replace(/^(refs\/)?heads\//, '');
+    const sha = state.branches.get(branch) || (commits.has(ref) ? ref : null);
+    if (!sha) {
+      throw requestError(404, `No commit found for the ref ${ref}`);
+    }
+    return commits.get(sha).tree;
+  };
+  const setLabels = (issue, names) => {
+    issue.labels = [...new Set(names)].map(name => ({ name }));
+    return issue.labels;
+  };
+
+  const rest = {
+    issues: {
+      get: async ({ issue_number }) => ({ data: findIssue(issue_number) }),
+      listForRepo: async ({ state: issueState = 'open', labels = '' }) => {
+        const wanted = labels.split(',').filter(Boolean);
+        const data = [...state.issues.values()].filter(issue =>
+          (issueState === 'all' || issue.state === issueState)
+          && wanted.every(label => issue.labels.some(item => item.name === label)));
+        return { data };
+      },
+      addLabels: async ({ issue_number, labels }) => {
+        const issue = findIssue(issue_number);
+        state.labels.push({ issue: issue.number, action: 'add', labels });
+        return { data: setLabels(issue, [...issue.labels.map(label => label.name), ...labels]) };
+      },
+      setLabels: async ({ issue_number, labels }) => {
+        const issue = findIssue(issue_number);
+        state.labels.push({ issue: issue.number, action: 'set', labels });
+        return { data: setLabels(issue, labels) };
+      },
+      removeLabel: async ({ issue_number, name }) => {
+        const issue = findIssue(issue_number);
+        if (!issue.labels.some(label => label.name === name)) {
+          throw requestError(404, 'Label does not exist');
+        }
+        state.labels.push({ issue: issue.number, action: 'remove', labels: [name] });
+        return { data: setLabels(issue, issue.labels.map(label => label.name).filter(label => label !== name)) };
+      },
+      createComment: async ({ issue_number, body }) => {
+        const id = state.comments.length + 1;
+        const comment = { id, issue: Number(issue_number), body, html_url: `https://github.com/${owner}/${repo}/issues/${issue_number}#issuecomment-${id}` };
+        state.comments.push(comment);
+        return { data: comment };
+      },
+    },
+    repos: {
+      get: async () => ({ data: { name: repo, full_name: `${owner}/${repo}`, default_branch: defaultBranch } }),
+      getContent: async ({ path, ref }) => {
+        const tree = treeOf(ref);
+        if (tree.has(path)) {
+          const sha = tree.get(path);
+          return { data: { type: 'file', path, name: path.split('/').pop(), sha, encoding: 'base64', content: blobs.get(sha).toString('base64') } };
+        }
+
+        const prefix = path ? `${path.replace(/\/+$/, '')}/` : '';
+        const entries = new Map();
+        tree.forEach((sha, file) => {
+          if (file.startsWith(prefix)) {
+            const [name, ...rest] = file.slice(prefix.length).split('/');
+            entries.set(name, rest.length > 0
+              ? { type: 'dir', name, path: `${prefix}${name}` }
+              : { type: 'file', name, path: file, sha });
+          }
+        });
+        if (entries.size === 0) {
+          throw requestError(404, 'Not Found');
+        }
+        return { data: [...entries.values()] };
+      },
+    },
+    git: {
+      getRef: async ({ ref }) => {
+        const branch = ref.replace(/^heads\//, '');
+        if (!state.branches.has(branch)) {
+          throw requestError(404, 'Not Found');
+        }
+        return { data: { ref: `refs/${ref}`, object: { sha: state.branches.get(branch) } } };
+      },
+      createRef: async ({ ref, sha }) => {
+        const branch = ref.replace(/^refs\/heads\//, '');
+        if (state.branches.has(branch)) {
+          throw requestError(422, 'Reference already exists');
+        }
+        state.branches.set(branch, sha);
+        return { data: { ref, object: { sha } } };
+      },
+      updateRef: async ({ ref, sha }) => {
+        state.branches.set(ref.replace(/^heads\//, ''), sha);
+        return { data: { ref: `refs/${ref}`, object: { sha } } };
+      },
+      getCommit: async ({ commit_sha }) => {
+        if (!commits.has(commit_sha)) {
+          throw requestError(404, 'Not Found');
+        }
+        return { data: { sha: commit_sha, tree: { sha: `tree-of-${commit_sha}` }, message: commits.get(commit_sha).message } };
+      },
+      createBlob: async ({ content, encoding }) => ({ data: { sha: storeBlob(Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8')) } }),
+      createTree: async ({ base_tree, tree }) => {
+        const base = base_tree ? commits.get(base_tree.replace(/^tree-of-/, '')).tree : new Map();
+        const next = new Map(base);
+        tree.forEach(entry => entry.sha === null ? next.delete(entry.path) : next.set(entry.path, entry.sha));
+        const sha = nextSha('tree');
+        trees.set(sha, { tree: next, changes: tree });
+        return { data: { sha } };
+      },
+      createCommit: async ({ message, tree, parents }) => {
+        const sha = nextSha('commit');
+        commits.set(sha, { tree: trees.get(tree).tree, message });
+        state.commits.push({
+          sha,
+          message,
+          parents,
+          changes: trees.get(tree).changes.map(entry => ({
+            path: entry.path,
+            deleted: entry.sha === null,
+            content: entry.sha === null ? null : blobs.get(entry.sha),
+          })),
+        });
+        return { data: { sha, message } };
+      },
+    },
+    pulls: {
+      list: async ({ head, base, state: pullState = 'open' }) => ({
+        data: state.pulls.filter(pull =>
+          (!head || `${owner}:${pull.head}` === head) && (!base || pull.base === base) && (pullState === 'all' || pull.state === pullState)),
+      }),
+      create: async ({ head, base, title, body }) => {
+        const number = 1000 + state.pulls.length + 1;
+        const pull = { number, head, base, title, body, state: 'open', node_id: `PR_${number}`, html_url: `https://github.com/${owner}/${repo}/pull/${number}` };
+        state.pulls.push(pull);
+        return { data: pull };
+      },
+      createReview: async ({ pull_number, body, event }) => {
+        const review = { id: state.reviews.length + 1, pull: Number(pull_number), body, event };
+        state.reviews.push(review);
+        return { data: review };
+      },
+    },
+    teams: {
+      listMembersInOrg: async ({ org, team_slug }) => {
+        const members = teams[`${org}/${team_slug}`];
+        if (!members) {
+          throw requestError(404, 'Not Found');
+        }
+        return { data: members.map(login => ({ login })) };
+      },
+    },
+    users: {
+      getByUsername: async ({ username }) => {
+        const user = users[username] || users[username.toLowerCase()];
+        if (!user) {
+          throw requestError(404, 'Not Found');
+        }
+        return { data: { login: username, html_url: `https://github.com/${username}`, ...user } };
+      },
+    },
+  };
+
+  const paginate = async (method, params) => (await method(params)).data;
+  paginate.iterator = (method, params) => (async function* () {
+    yield await method(params);
+  })();
+
+  const graphql = async (query, variables) => {
+    state.mutations.push({ query, variables });
+    return {};
+  };
+
+  return { client: { rest, paginate, graphql }, state };
+}
+
+module.exports = createFakeOctokit;
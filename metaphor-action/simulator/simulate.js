@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const createContext = require('./context');
+const createFakeOctokit = require('./fakeOctokit');
+const dispatch = require('../scripts/dispatcher');
+
+/**
+ * Reads every file below a directory.
+ * @function readFiles
+ * @param {string} directory - The directory.
+ * @param {string} [prefix] - The path of the directory in the repository.
+ * @returns {Object} Maps repository paths to file contents.
+ */
+function readFiles(directory, prefix = '') {
+  return fs.readdirSync(directory, { withFileTypes: true }).reduce((files, entry) => {
+    const file = path.join(directory, entry.name);
+    const repoPath = `${prefix}${entry.name}`;
+    return entry.isDirectory()
+      ? { ...files, ...readFiles(file, `${repoPath}/`) }
+      : { ...files, [repoPath]: fs.readFileSync(file) };
+  }, {});
+}
+
+/**
+ * Reads the outputs the action set, from the file `core.setOutput` appends to.
+ * @function readOutputs
+ * @param {string} file - The `GITHUB_OUTPUT` file.
+ * @returns {Object} Maps output names to values.
+ */
+function readOutputs(file) {
+  const outputs = {};
+  const pattern = /^(.+?)<<(ghadelimiter_[\w-]+)\n([\s\S]*?)\n\2$/gm;
+  for (const match of fs.readFileSync(file, 'utf8').matchAll(pattern)) {
+    outputs[match[1]] = match[3];
+  }
+  return outputs;
+}
+
+// `core.summary` keeps the first job summary file it is given, so every run of a process shares one runDirectory
+let runDirectory = null;
+
+/**
+ * Sets the environment `@actions/core` reads: the inputs with the defaults of action.yml, and empty output and job
+ * summary files, in a temporary directory removed when the process exits.
+ * @function prepareEnvironment
+ * @param {Object} inputs - The action inputs to set, by input name.
+ * @returns {{ outputFile: string, summaryFile: string }} The output and job summary files.
+ * @throws {Error} When an input is not declared in action.yml.
+ */
+function prepareEnvironment(inputs) {
+  const action = YAML.parse(fs.readFileSync(path.join(__dirname, '..', 'action.yml'), 'utf8'));
+  const unknown = Object.keys(inputs).find(name => !action.inputs[name]);
+  if (unknown) {
+    throw new Error(`Unknown input ${unknown}, see action.yml`);
+  }
+
+  if (!runDirectory) {
+    runDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'metaphor-simulate-'));
+    process.once('exit', () => fs.rmSync(runDirectory, { recursive: true, force: true }));
+  }
+  const outputFile = path.join(runDirectory, 'output');
+  const summaryFile = path.join(runDirectory, 'summary.md');
+  fs.writeFileSync(outputFile, '');
+  fs.writeFileSync(summaryFile, '');
+
+  Object.assign(process.env, {
+    GITHUB_OUTPUT: outputFile,
+    GITHUB_STEP_SUMMARY: summaryFile,
+  });
+
+  const values = { 'github-token': 'simulated-token', ...inputs };
+  Object.entries(action.inputs).forEach(([name, input]) => {
+    const value = values[name] !== undefined ? values[name] : input.default;
+    process.env[`INPUT_${name.replace(/ /g, '_').toUpperCase()}`] = value === undefined ? '' : String(value);
+  });
+
+  return { outputFile, summaryFile };
+}
+
+/**
+ * Runs the action against a client for one event, the way the workflow runner would.
+ * @async
+ * @function runAction
+ * @param {Object} client - The Octokit client, usually the fake of `createFakeOctokit`.
+ * @param {Object} options - The event to run.
+ * @param {string} options.eventName - The event name, e.g. `issues` or `schedule`.
+ * @param {Object} options.payload - The webhook payload, with its `action`.
+ * @param {string} options.repository - The repository, as `owner/name`.
+ * @param {Object} [options.inputs] - The action inputs, by input name; the others take the defaults of action.yml.
+ * @returns {Promise<{ outputs: Object, summary: string, failed: boolean }>} A Promise that resolves with the outputs
+ * the action set, its job summary and whether it failed the step.
+ */
+async function runAction(client, { eventName, payload, repository, inputs = {} }) {
+  const { outputFile, summaryFile } = prepareEnvironment(inputs);
+  const exitCode = process.exitCode;
+  try {
+    await dispatch(client, createContext({ eventName, payload, repository }));
+    return {
+      outputs: readOutputs(outputFile),
+      summary: fs.readFileSync(summaryFile, 'utf8'),
+      failed: process.exitCode === 1 && exitCode !== 1,
+    };
+  } finally {
+    // A failed step is reported in the result, not as the exit code of the simulating process
+    process.exitCode = exitCode;
+  }
+}
+
+/**
+ * Runs the action for one event against an in-memory fake of GitHub seeded with files and issues.
+ * The issue or pull request of the payload is added to the issues of the fake.
+ * @async
+ * @function simulate
+ * @param {Object} options - The event and the initial state of the repository.
+ * @param {string} options.eventName - The event name, e.g. `issues` or `schedule`.
+ * @param {Object} options.payload - The webhook payload, with its `action`.
+ * @param {string} [options.repository] - The repository, defaults to the payload repository or `owner/repo`.
+ * @param {Object} [options.inputs] - The action inputs, by input name.
+ * @param {Object} [options.files] - The files of the default branch, mapping paths to contents.
+ * @param {Array<Object>} [options.issues] - More issues of the repository.
+ * @param {Object} [options.teams] - Maps `org/team` slugs to the logins of their members.
+ * @param {Object} [options.users] - Maps logins to the profiles returned by the users API.
+ * @returns {Promise<Object>} A Promise that resolves with the fake `client` and its `state`, and the `outputs`,
+ * `summary` and `failed` result of `runAction`.
+ */
+async function simulate({ eventName, payload, repository, inputs, files = {}, issues = [], teams, users }) {
+  const fullName = repository || (payload.repository && payload.repository.full_name) || 'owner/repo';
+  const [owner, repo] = fullName.split('/');
+  const subject = payload.issue || payload.pull_request;
+  const { client, state } = createFakeOctokit({
+    owner,
+    repo,
+    files,
+    issues: subject ? [...issues.filter(issue => issue.number !== subject.number), subject] : issues,
+    teams,
+    users,
+  });
+
+  const result = await runAction(client, { eventName, payload, repository: fullName, inputs });
+  return { client, state, ...result };
+}
+
+module.exports = {
+  prepareEnvironment,
+  readFiles,
+  readOutputs,
+  runAction,
+  simulate,
+};
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { authorProfileFile, extractAuthorProfile, validateAuthorProfile } = require('../scripts/utils/authorProfile');
+
+describe('extractAuthorProfile', () => {
+  it('extracts the profile and removes the fenced block from the body', () => {
+    const body = 'Story\n\n```json\n{start userdata}\n{ "display_name": "Alice", "social": { "github": "alice" } }\n{end userdata}\n```\n\nMore';
+    assert.deepEqual(extractAuthorProfile(body), {
+      profile: { display_name: 'Alice', social: { github: 'alice' } },
+      body: 'Story\n\nMore',
+      errors: [],
+    });
+  });
+
+  it('removes invalid blocks too', () => {
+    assert.deepEqual(extractAuthorProfile('Story {start userdata}{ nope {end userdata}'), {
+      profile: null,
+      body: 'Story',
+      errors: ['the author block is not valid JSON'],
+    });
+    assert.deepEqual(extractAuthorProfile('Story'), { profile: null, body: 'Story', errors: [] });
+  });
+});
+
+describe('validateAuthorProfile', () => {
+  it('reports every invalid field', () => {
+    assert.deepEqual(validateAuthorProfile({ website: 'ftp://alice', bio: 'x'.repeat(501), social: { myspace: 'alice', github: ' ' }, age: 30 }), [
+      'unknown field `age`, expected one of display_name, website, social, bio',
+      '`website` must be an http(s) URL',
+      '`bio` must be at most 500 characters',
+      'unknown social network `myspace`, expected one of twitter, github, linkedin, mastodon, instagram, youtube, devto, facebook',
+      '`social.github` must be a non-empty string',
+    ]);
+    assert.deepEqual(validateAuthorProfile([]), ['the author block must be a JSON object']);
+  });
+});
+
+describe('authorProfileFile', () => {
+  const config = { authorProfile: 'file', storiesRoot: 'stories', targetBranch: '' };
+  const profile = { display_name: 'Alice' };
+
+  it('writes the profile file only when it changed', async () => {
+    const content = `${JSON.stringify({ login: 'Alice', ...profile }, undefined, 2)}\n`;
+    const fresh = createFakeOctokit();
+    assert.deepEqual(await authorProfileFile(fresh.client, { owner: 'owner', repo: 'repo', config, login: 'Alice', profile }), {
+      path: 'stories/authors/alice.json',
+      content,
+    });
+
+    const current = createFakeOctokit({ files: { 'stories/authors/alice.json': content } });
+    assert.equal(await authorProfileFile(current.client, { owner: 'owner', repo: 'repo', config, login: 'Alice', profile }), null);
+  });
+
+  it('writes nothing in the other modes', async () => {
+    const { client } = createFakeOctokit();
+    assert.equal(await authorProfileFile(client, { owner: 'owner', repo: 'repo', config: { ...config, authorProfile: 'front-matter' }, login: 'alice', profile }), null);
+  });
+});
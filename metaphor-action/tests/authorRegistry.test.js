@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { enrichAuthor } = require('../scripts/utils/authorRegistry');
+
+const config = { storiesRoot: 'stories', targetBranch: '', authorProfile: 'none' };
+
+// Profiles are cached for the whole process, so every test uses its own author
+describe('enrichAuthor', () => {
+  it('fetches the profile and registers it, whatever the author-profile mode', async () => {
+    const { client } = createFakeOctokit({ users: { alice: { name: 'Alice', avatar_url: 'https://avatars/alice', blog: '' } } });
+    const { profile, registryFile } = await enrichAuthor(client, { owner: 'owner', repo: 'repo', config, login: 'Alice' });
+
+    assert.equal(profile.name, 'Alice');
+    assert.equal(profile.blog, null);
+    assert.equal(registryFile.path, 'stories/authors.json');
+    assert.deepEqual(Object.keys(JSON.parse(registryFile.content)), ['alice']);
+  });
+
+  it('reuses registered profiles younger than a week', async () => {
+    const registered = { login: 'bob', name: 'Bob', fetched_at: new Date().toISOString() };
+    const { client } = createFakeOctokit({ files: { 'stories/authors.json': JSON.stringify({ bob: registered }) } });
+
+    assert.deepEqual(await enrichAuthor(client, { owner: 'owner', repo: 'repo', config, login: 'bob' }), { profile: registered, registryFile: null });
+  });
+
+  it('refreshes stale profiles, keeping the other authors', async () => {
+    const registry = {
+      carol: { login: 'carol', name: 'Old name', fetched_at: '2020-01-01T00:00:00Z' },
+      alice: { login: 'alice', fetched_at: '2020-01-01T00:00:00Z' },
+    };
+    const { client } = createFakeOctokit({ files: { 'stories/authors.json': JSON.stringify(registry) }, users: { carol: { name: 'Carol' } } });
+    const { profile, registryFile } = await enrichAuthor(client, { owner: 'owner', repo: 'repo', config, login: 'carol' });
+
+    assert.equal(profile.name, 'Carol');
+    assert.deepEqual(Object.keys(JSON.parse(registryFile.content)), ['alice', 'carol']);
+  });
+
+  it('falls back to the registered profile when GitHub cannot be reached', async () => {
+    const registered = { login: 'dave', name: 'Dave', fetched_at: '2020-01-01T00:00:00Z' };
+    const { client } = createFakeOctokit({ files: { 'stories/authors.json': JSON.stringify({ dave: registered }) } });
+
+    assert.deepEqual(await enrichAuthor(client, { owner: 'owner', repo: 'repo', config, login: 'dave' }), { profile: registered, registryFile: null });
+  });
+});
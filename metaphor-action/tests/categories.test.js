@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CATEGORIES, normalizeCategories, resolveCategory } = require('../scripts/utils/categories');
+
+describe('normalizeCategories', () => {
+  it('fills in the labels, directory and display name', () => {
+    assert.deepEqual(normalizeCategories([{ name: 'physics', labels: ['physics', 'quantum'], directory: 'science\\physics/' }]), [
+      { name: 'physics', labels: ['physics', 'quantum'], directory: 'science/physics', displayName: 'physics' },
+    ]);
+    assert.deepEqual(normalizeCategories([{ name: 'rust', label: 'lang:rust', 'display-name': 'Rust' }])[0].labels, ['lang:rust']);
+  });
+
+  it('rejects invalid declarations', () => {
+    assert.throws(() => normalizeCategories({ rust: {} }), /must be a list/);
+    assert.throws(() => normalizeCategories([{ labels: ['rust'] }]), /Category #1 is missing its `name`/);
+    assert.throws(() => normalizeCategories([{ name: 'rust', directory: '../rust' }]), /invalid `directory`/);
+  });
+});
+
+describe('resolveCategory', () => {
+  const categories = normalizeCategories([...DEFAULT_CATEGORIES, { name: 'chemistry', labels: ['chemistry', 'reactions'] }]);
+
+  it('matches the category of the labels, ignoring case and status labels', () => {
+    assert.equal(resolveCategory(categories, ['metaphore', 'Rust']).category.name, 'rust');
+    assert.equal(resolveCategory(categories, ['metaphore', 'rust', 'published', 'publishing']).category.name, 'rust');
+    assert.equal(resolveCategory(categories, ['metaphore', 'chemistry', 'reactions']).category.name, 'chemistry');
+  });
+
+  it('has no category for an issue labelled metaphore only', () => {
+    assert.deepEqual(resolveCategory(categories, ['metaphore']), {
+      category: null,
+      reason: 'no-category-label',
+      details: 'none of its labels names a story category',
+    });
+  });
+
+  it('rejects labels outside the category', () => {
+    const { category, reason, details } = resolveCategory(categories, ['metaphore', 'rust', 'good first issue']);
+    assert.equal(category, null);
+    assert.equal(reason, 'no-category-label');
+    assert.match(details, /outside the Rust category \(good first issue\)/);
+  });
+
+  it('rejects several categories', () => {
+    const { category, reason, details } = resolveCategory(categories, ['metaphore', 'rust', 'python']);
+    assert.equal(category, null);
+    assert.equal(reason, 'multiple-categories');
+    assert.match(details, /\(Python, Rust\)/);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { loadConfig, loadDryRun, parseBoolean, parseList, pick } = require('../scripts/utils/config');
+
+const context = { repo: { owner: 'owner', repo: 'repo' } };
+
+/**
+ * Loads the configuration of a fake repository.
+ * @param {Object} files - The files of the repository.
+ * @param {Object} [inputs] - The raw action inputs.
+ * @returns {Promise<Object>} The configuration.
+ */
+function load(files, inputs) {
+  return loadConfig(createFakeOctokit({ files }).client, context, inputs);
+}
+
+describe('loadConfig', () => {
+  it('uses the defaults without a configuration file', async () => {
+    const config = await load({});
+    assert.deepEqual(config.reviewers, ['darkterminal', 'mkubdev']);
+    assert.equal(config.publishMode, 'commit');
+    assert.equal(config.slugCollision, 'issue-number');
+    assert.equal(config.slugMaxLength, 80);
+    assert.equal(config.storiesRoot, 'public/collections/stories');
+    assert.equal(config.pathPattern, '{root}/{category}/{slug}.md');
+    assert.equal(config.rehostImages, false);
+    assert.equal(config.feeds, true);
+    assert.equal(config.dryRun, false);
+    assert.equal(config.categories.find(category => category.name === 'cpp').displayName, 'C++');
+  });
+
+  it('prefers inputs over the configuration file over the defaults', async () => {
+    const files = {
+      '.github/metaphor-action.yml': [
+        'reviewers: [alice, org/maintainers]',
+        'publish-mode: pull-request',
+        'unpublish-mode: delete',
+        'stories-root: /content/stories/',
+        'categories:',
+        '  - name: rust',
+      ].join('\n'),
+    };
+    const config = await load(files, { unpublishMode: 'archive', slugMaxLength: '', dryRun: 'yes' });
+
+    assert.deepEqual(config.reviewers, ['alice', 'org/maintainers']);
+    assert.equal(config.publishMode, 'pull-request');
+    assert.equal(config.unpublishMode, 'archive');
+    assert.equal(config.slugMaxLength, 80);
+    assert.equal(config.storiesRoot, 'content/stories');
+    assert.equal(config.dryRun, true);
+    assert.deepEqual(config.categories.map(category => category.name), ['rust']);
+    assert.deepEqual((await load(files, { reviewers: 'bob\ncarol' })).reviewers, ['bob', 'carol']);
+  });
+
+  it('reads JSON configuration files', async () => {
+    const config = await load({ '.github/metaphor-action.json': '{ "slug-collision": "date" }' });
+    assert.equal(config.slugCollision, 'date');
+  });
+
+  it('rejects invalid configurations', async () => {
+    await assert.rejects(load({ '.github/metaphor-action.yml': 'categories: [' }), /Invalid configuration in \.github\/metaphor-action\.yml/);
+    await assert.rejects(load({ '.github/metaphor-action.json': '{' }), /not valid JSON/);
+    await assert.rejects(load({}, { slugCollision: 'random' }), /Unknown slug collision strategy `random`/);
+    await assert.rejects(load({ '.github/metaphor-action.yml': 'slug-hash: true\n' }, { slugMaxLength: '9' }), /`slug-max-length` must be at least 10 with `slug-hash`/);
+    assert.equal((await load({}, { slugMaxLength: '9' })).slugMaxLength, 9);
+    await assert.rejects(load({}, { backfillLimit: '0' }), /`backfill-limit` must be a positive number/);
+    await assert.rejects(load({}, { imageTypes: 'image/png, image/bmp' }), /Unsupported image type\(s\) image\/bmp/);
+    await assert.rejects(load({}, { pathPattern: '{root}/{title}.md' }), /Unknown placeholder\(s\) in path pattern/);
+    await assert.rejects(load({}, { storyUrl: '{site}/{title}' }), /Unknown placeholder\(s\) in story URL/);
+  });
+});
+
+describe('loadDryRun', () => {
+  const dryRun = (files, input) => loadDryRun(createFakeOctokit({ files }).client, context, input);
+
+  it('reads the input, then the configuration file', async () => {
+    assert.equal(await dryRun({}, ''), false);
+    assert.equal(await dryRun({ '.github/metaphor-action.yml': 'dry-run: true\n' }, ''), true);
+    assert.equal(await dryRun({ '.github/metaphor-action.yml': 'dry-run: true\n' }, 'false'), false);
+  });
+
+  it('ignores a broken configuration file', async () => {
+    assert.equal(await dryRun({ '.github/metaphor-action.yml': 'dry-run: true\ncategories: [\n' }, ''), false);
+    assert.equal(await dryRun({ '.github/metaphor-action.json': '{' }, 'true'), true);
+  });
+});
+
+describe('input helpers', () => {
+  it('parses lists, booleans and picks the first set value', () => {
+    assert.deepEqual(parseList('alice, bob\n@org/team'), ['alice', 'bob', '@org/team']);
+    assert.deepEqual(parseList([' alice ', '']), ['alice']);
+    assert.deepEqual(parseList(undefined), []);
+    assert.deepEqual(['true', 'YES', '1', 'false', '', undefined].map(parseBoolean), [true, true, true, false, false, false]);
+    assert.equal(pick('', null, undefined, 0, 'default'), 0);
+  });
+});
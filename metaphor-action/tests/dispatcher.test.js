@@ -0,0 +1,481 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { runAction, simulate } = require('../simulator/simulate');
+const { fixture, labelsOf, readFile, seedFiles } = require('./helpers');
+
+const STORY_PATH = 'public/collections/stories/rust/ownership-explained-with-a-library.md';
+const ARCHIVED_PATH = 'public/collections/stories/archived/rust/ownership-explained-with-a-library.md';
+const MANIFEST_PATH = 'public/collections/stories/index.json';
+
+/**
+ * Builds a payload of issue #7 with other labels.
+ * @param {string} name - The fixture to start from.
+ * @param {string[]} labels - The label names of the issue.
+ * @returns {Object} The payload.
+ */
+function withLabels(name, labels) {
+  const payload = fixture(name);
+  payload.issue.labels = labels.map(label => ({ name: label }));
+  return payload;
+}
+
+describe('issues closed', () => {
+  it('commits the story and its manifests, then labels the issue', async () => {
+    const { client, state, outputs, failed } = await simulate({ eventName: 'issues', payload: fixture('issues-closed') });
+
+    assert.equal(failed, false);
+    assert.equal(outputs.published, 'true');
+    assert.equal(outputs['story-path'], STORY_PATH);
+    assert.equal(outputs.category, 'rust');
+    assert.equal(outputs.slug, 'ownership-explained-with-a-library');
+    assert.equal(outputs['commit-sha'], state.commits[0].sha);
+
+    assert.equal(state.commits.length, 1);
+    assert.deepEqual(state.commits[0].changes.map(change => change.path), [
+      STORY_PATH,
+      'public/collections/stories/index.json',
+      'public/collections/stories/feed.xml',
+      'public/collections/stories/rss.xml',
+      'public/collections/stories/rust/index.json',
+      'public/collections/stories/rust/feed.xml',
+      'public/collections/stories/rust/rss.xml',
+    ]);
+
+    const story = await readFile(client, STORY_PATH);
+    assert.match(story, /^---\nlayout: "post"\ntitle: "Ownership explained with a library"\n/);
+    assert.match(story, /\ncreated_at: 2023-05-04T10:00:00Z\nissue: 7\n---\n/);
+    assert.match(story, /Borrowing a book is like borrowing a reference/);
+    assert.doesNotMatch(story, /start userdata/);
+    assert.equal(outputs.story, story);
+
+    const manifest = JSON.parse(await readFile(client, MANIFEST_PATH));
+    assert.deepEqual(manifest.map(entry => [entry.issue, entry.path]), [[7, STORY_PATH]]);
+
+    // The labels of the issue are kept, `published` is added to them
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'published']);
+  });
+
+  it('writes non-ASCII stories byte for byte', async () => {
+    const payload = fixture('issues-closed');
+    payload.issue.body = payload.issue.body.replace('it has to go back.', 'it has to go back. Ñandú 🦀 所有権 الملكية владение');
+
+    const { client, state } = await simulate({ eventName: 'issues', payload });
+
+    const story = await readFile(client, STORY_PATH);
+    assert.match(story, /it has to go back\. Ñandú 🦀 所有権 الملكية владение/);
+    const change = state.commits[0].changes.find(item => item.path === STORY_PATH);
+    assert.ok(Buffer.isBuffer(change.content));
+    assert.equal(change.content.toString('utf8'), story);
+  });
+
+  it('skips issues without an approved reviewer', async () => {
+    const { state, outputs, failed } = await simulate({ eventName: 'issues', payload: fixture('issues-closed-no-reviewer') });
+
+    assert.equal(failed, false);
+    assert.equal(outputs.published, 'false');
+    assert.equal(outputs['skip-reason'], 'no-reviewer');
+    assert.equal(state.commits.length, 0);
+    assert.equal(state.comments.length, 0);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust']);
+  });
+
+  it('tells the author why the story was skipped when skip-comment is set', async () => {
+    const { state } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-closed-no-reviewer'),
+      inputs: { 'skip-comment': 'true' },
+    });
+
+    assert.equal(state.comments.length, 1);
+    assert.equal(state.comments[0].issue, 7);
+    assert.match(state.comments[0].body, /^@alice, your story was not published because it is not assigned to an approved reviewer/);
+  });
+
+  it('skips issues labelled metaphore only', async () => {
+    const { state, outputs } = await simulate({ eventName: 'issues', payload: withLabels('issues-closed', ['metaphore']) });
+
+    assert.equal(outputs['skip-reason'], 'no-category-label');
+    assert.equal(state.commits.length, 0);
+  });
+
+  it('skips issues labelled with several categories', async () => {
+    const { outputs } = await simulate({ eventName: 'issues', payload: withLabels('issues-closed', ['metaphore', 'rust', 'python']) });
+
+    assert.equal(outputs['skip-reason'], 'multiple-categories');
+  });
+
+  it('skips published issues without commenting', async () => {
+    const { state, outputs } = await simulate({
+      eventName: 'issues',
+      payload: withLabels('issues-closed', ['metaphore', 'rust', 'published']),
+      inputs: { 'skip-comment': 'true' },
+    });
+
+    assert.equal(outputs['skip-reason'], 'already-published');
+    assert.equal(state.commits.length, 0);
+    assert.equal(state.comments.length, 0);
+  });
+
+  it('publishes the story even when labelling fails', async () => {
+    const payload = fixture('issues-closed');
+    const { client, state } = createFakeOctokit({ issues: [payload.issue] });
+    client.rest.issues.addLabels = async () => {
+      throw Object.assign(new Error('Label service unavailable'), { status: 503 });
+    };
+
+    const { outputs, summary, failed } = await runAction(client, { eventName: 'issues', payload, repository: 'owner/repo' });
+
+    assert.equal(failed, false);
+    assert.equal(outputs.published, 'true');
+    assert.equal(state.commits.length, 1);
+    assert.match(summary, /Story published, label missing/);
+  });
+
+  it('rejects an invalid configuration file', async () => {
+    await assert.rejects(simulate({
+      eventName: 'issues',
+      payload: fixture('issues-closed'),
+      files: { '.github/metaphor-action.yml': 'publish-mode: carrier-pigeon\n' },
+    }), /Unknown publish mode `carrier-pigeon`/);
+  });
+});
+
+describe('issues closed in pull-request mode', () => {
+  it('proposes the story in a pull request and labels the issue publishing', async () => {
+    const { client, state, outputs } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-closed'),
+      inputs: { 'publish-mode': 'pull-request' },
+    });
+
+    assert.equal(outputs.published, 'true');
+    assert.equal(state.pulls.length, 1);
+    assert.equal(state.pulls[0].head, 'metaphor/ownership-explained-with-a-library');
+    assert.equal(state.pulls[0].base, 'main');
+    assert.match(state.pulls[0].body, /<!-- metaphor-issue: 7 -->$/);
+    assert.equal(await readFile(client, STORY_PATH), null);
+    assert.match(await readFile(client, STORY_PATH, 'metaphor/ownership-explained-with-a-library'), /\nissue: 7\n/);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'publishing']);
+  });
+
+  it('still comments and labels the issue when auto-merge cannot be enabled', async () => {
+    const payload = fixture('issues-closed');
+    const { client, state } = createFakeOctokit({ issues: [payload.issue] });
+    client.graphql = async () => {
+      throw new Error('Pull request is in clean status');
+    };
+
+    const { outputs, failed } = await runAction(client, {
+      eventName: 'issues',
+      payload,
+      repository: 'owner/repo',
+      inputs: { 'publish-mode': 'pull-request', 'auto-merge': 'true' },
+    });
+
+    assert.equal(failed, false);
+    assert.equal(outputs.published, 'true');
+    assert.equal(state.pulls.length, 1);
+    assert.match(state.comments[0].body, /^Your story is on its way!/);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'publishing']);
+  });
+
+  it('labels the issue published once the pull request is merged', async () => {
+    const issue = { ...fixture('issues-closed').issue, labels: [{ name: 'metaphore' }, { name: 'rust' }, { name: 'publishing' }] };
+    const { state, outputs, failed } = await simulate({
+      eventName: 'pull_request',
+      payload: fixture('pull_request-closed'),
+      issues: [issue],
+    });
+
+    assert.equal(failed, false);
+    assert.equal(outputs.published, 'true');
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'published']);
+  });
+
+  it('only removes publishing when the pull request is closed without merging', async () => {
+    const payload = fixture('pull_request-closed');
+    payload.pull_request.merged = false;
+    const issue = { ...fixture('issues-closed').issue, labels: [{ name: 'metaphore' }, { name: 'rust' }, { name: 'publishing' }] };
+
+    const { state, outputs } = await simulate({ eventName: 'pull_request', payload, issues: [issue] });
+
+    assert.equal(outputs.published, 'false');
+    assert.equal(outputs['skip-reason'], 'pull-request-closed');
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust']);
+    assert.equal(state.comments.length, 1);
+    assert.equal(state.comments[0].issue, 7);
+  });
+
+  it('ignores pull requests the action did not open', async () => {
+    const payload = fixture('pull_request-closed');
+    payload.pull_request.body = 'Fixes a typo';
+
+    const { state, outputs } = await simulate({ eventName: 'pull_request', payload });
+
+    assert.equal(outputs['skip-reason'], 'not-a-story-pull-request');
+    assert.equal(state.labels.length, 0);
+  });
+});
+
+describe('issues edited', () => {
+  it('rewrites the published story in place', async () => {
+    const payload = fixture('issues-edited');
+    payload.issue.body = payload.issue.body.replace('it has to go back.', 'it has to go back by Friday.');
+
+    const { client, state, outputs } = await simulate({ eventName: 'issues', payload, files: seedFiles() });
+
+    assert.equal(outputs['story-path'], STORY_PATH);
+    assert.equal(state.commits.length, 1);
+    assert.match(await readFile(client, STORY_PATH), /it has to go back by Friday\.$/);
+  });
+
+  it('skips issues without a story file', async () => {
+    const { state, outputs } = await simulate({ eventName: 'issues', payload: fixture('issues-edited') });
+
+    assert.equal(outputs['skip-reason'], 'no-story-file');
+    assert.equal(state.commits.length, 0);
+  });
+
+  it('skips issues that are not published', async () => {
+    const { outputs } = await simulate({ eventName: 'issues', payload: withLabels('issues-edited', ['metaphore', 'rust']), files: seedFiles() });
+
+    assert.equal(outputs['skip-reason'], 'not-published');
+  });
+});
+
+describe('issues reopened and unlabeled', () => {
+  it('archives the story of a reopened issue', async () => {
+    const { client, state, outputs } = await simulate({ eventName: 'issues', payload: fixture('issues-reopened'), files: seedFiles() });
+
+    assert.equal(outputs['story-path'], STORY_PATH);
+    assert.equal(await readFile(client, STORY_PATH), null);
+    assert.match(await readFile(client, ARCHIVED_PATH), /\nissue: 7\n/);
+    assert.deepEqual(JSON.parse(await readFile(client, MANIFEST_PATH)), []);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'unpublished']);
+    assert.match(state.comments[0].body, /^This story has been unpublished because the issue was reopened/);
+  });
+
+  it('keeps a story unpublished by removing its label out of backfills', async () => {
+    const { client, state } = await simulate({ eventName: 'issues', payload: fixture('issues-unlabeled'), files: seedFiles() });
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'unpublished']);
+
+    const { failed } = await runAction(client, { eventName: 'schedule', payload: fixture('schedule'), repository: 'owner/repo' });
+
+    assert.equal(failed, false);
+    assert.equal(state.commits.length, 1);
+    assert.equal(await readFile(client, STORY_PATH), null);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'unpublished']);
+  });
+
+  it('publishes an unpublished story again when its issue is closed again', async () => {
+    const { client, state } = await simulate({ eventName: 'issues', payload: fixture('issues-reopened'), files: seedFiles() });
+    state.issues.get(7).state = 'closed';
+
+    const { outputs } = await runAction(client, { eventName: 'issues', payload: fixture('issues-closed'), repository: 'owner/repo' });
+
+    assert.equal(outputs.published, 'true');
+    assert.match(await readFile(client, STORY_PATH), /\nissue: 7\n/);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'published']);
+  });
+
+  it('deletes the story when the published label is removed in delete mode', async () => {
+    const { client, state } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-unlabeled'),
+      files: seedFiles(),
+      inputs: { 'unpublish-mode': 'delete' },
+    });
+
+    assert.equal(await readFile(client, STORY_PATH), null);
+    assert.equal(await readFile(client, ARCHIVED_PATH), null);
+    assert.ok(state.commits[0].changes.some(change => change.path === STORY_PATH && change.deleted));
+  });
+
+  it('ignores the removal of other labels', async () => {
+    const payload = fixture('issues-unlabeled');
+    payload.label = { name: 'help wanted' };
+
+    const { state, outputs } = await simulate({ eventName: 'issues', payload, files: seedFiles() });
+
+    assert.equal(outputs['skip-reason'], 'other-label');
+    assert.equal(state.commits.length, 0);
+  });
+});
+
+describe('edits and unpublications in pull-request mode', () => {
+  it('proposes the rewritten story in a pull request', async () => {
+    const payload = fixture('issues-edited');
+    payload.issue.body = payload.issue.body.replace('it has to go back.', 'it has to go back by Friday.');
+    const branch = 'metaphor/ownership-explained-with-a-library-update';
+
+    const { client, state, outputs } = await simulate({
+      eventName: 'issues',
+      payload,
+      files: seedFiles(),
+      inputs: { 'publish-mode': 'pull-request' },
+    });
+
+    assert.equal(outputs['story-path'], STORY_PATH);
+    assert.equal(state.pulls.length, 1);
+    assert.equal(state.pulls[0].head, branch);
+    assert.match(state.pulls[0].body, /<!-- metaphor-issue: 7 -->$/);
+    assert.match(await readFile(client, STORY_PATH), /it has to go back\.\n/);
+    assert.match(await readFile(client, STORY_PATH, branch), /it has to go back by Friday\.$/);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'published']);
+  });
+
+  it('proposes the archival of a reopened story in a pull request', async () => {
+    const branch = 'metaphor/ownership-explained-with-a-library-unpublish';
+
+    const { client, state, outputs } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-reopened'),
+      files: seedFiles(),
+      inputs: { 'publish-mode': 'pull-request' },
+    });
+
+    assert.equal(outputs['story-path'], STORY_PATH);
+    assert.equal(state.pulls.length, 1);
+    assert.equal(state.pulls[0].head, branch);
+    assert.notEqual(await readFile(client, STORY_PATH), null);
+    assert.equal(await readFile(client, STORY_PATH, branch), null);
+    assert.match(await readFile(client, ARCHIVED_PATH, branch), /\nissue: 7\n/);
+    assert.deepEqual(labelsOf(state, 7), ['metaphore', 'rust', 'unpublished']);
+    assert.match(state.comments[0].body, /^This story will be unpublished because the issue was reopened, once https:\/\/github\.com\/\S+\/pull\/1001 is merged\. The story file `[^`]+` will be moved to/);
+  });
+});
+
+describe('opened', () => {
+  it('greets the author of an issue', async () => {
+    const { state, outputs } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-opened'),
+      inputs: { 'issue-message': 'Thanks for your story!', footer: 'The maintainers' },
+    });
+
+    assert.deepEqual(state.comments.map(comment => [comment.issue, comment.body]), [[7, 'Thanks for your story!<p>The maintainers</p>']]);
+    assert.equal(outputs['greeting-comment-id'], '1');
+    assert.equal(state.commits.length, 0);
+  });
+
+  it('does not greet again on issues labelled story::comment', async () => {
+    const { state, outputs, failed } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-opened-story-comment'),
+      inputs: { 'issue-message': 'Thanks for your story!' },
+    });
+
+    assert.equal(failed, false);
+    assert.equal(state.comments.length, 0);
+    assert.equal(outputs['greeting-comment-id'], undefined);
+  });
+
+  it('only records the greeting in a dry run', async () => {
+    const { state, outputs, summary } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-opened'),
+      inputs: { 'issue-message': 'Thanks for your story!', 'dry-run': 'true' },
+    });
+
+    assert.equal(state.comments.length, 0);
+    assert.ok(outputs['greeting-comment-id']);
+    assert.match(summary, /<li>comment on #7<\/li>/);
+  });
+
+  it('follows the dry-run setting of the configuration file', async () => {
+    const { state, summary, failed } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-opened'),
+      files: { '.github/metaphor-action.yml': 'dry-run: true\n' },
+      inputs: { 'issue-message': 'Thanks for your story!' },
+    });
+
+    assert.equal(failed, false);
+    assert.equal(state.comments.length, 0);
+    assert.match(summary, /<li>comment on #7<\/li>/);
+  });
+
+  it('reviews a pull request, even with a broken configuration file', async () => {
+    const { state, failed } = await simulate({
+      eventName: 'pull_request',
+      payload: fixture('pull_request-opened'),
+      files: { '.github/metaphor-action.yml': 'categories: [\n' },
+      inputs: { 'pr-message': 'Thanks for your pull request!' },
+    });
+
+    assert.equal(failed, false);
+    assert.equal(state.reviews.length, 1);
+    assert.equal(state.reviews[0].pull, 8);
+    assert.equal(state.reviews[0].event, 'COMMENT');
+    assert.match(state.reviews[0].body, /^Thanks for your pull request!/);
+  });
+});
+
+describe('other events', () => {
+  it('skips events without a handler', async () => {
+    const { state, outputs, summary, failed } = await simulate({ eventName: 'issues', payload: fixture('issues-labeled'), files: seedFiles() });
+
+    assert.equal(failed, false);
+    assert.deepEqual(outputs, {});
+    assert.equal(summary, '');
+    assert.equal(state.commits.length + state.comments.length + state.labels.length, 0);
+  });
+
+  for (const action of ['edited', 'reopened']) {
+    it(`skips pull requests ${action} with not-an-issue`, async () => {
+      const { state, outputs, failed } = await simulate({ eventName: 'pull_request', payload: fixture(`pull_request-${action}`), files: seedFiles() });
+
+      assert.equal(failed, false);
+      assert.equal(outputs['skip-reason'], 'not-an-issue');
+      assert.equal(state.commits.length + state.comments.length + state.labels.length, 0);
+    });
+  }
+});
+
+describe('backfills', () => {
+  for (const eventName of ['workflow_dispatch', 'schedule']) {
+    it(`publishes the unpublished closed story issues on ${eventName}`, async () => {
+      const { client, state, summary } = await simulate({
+        eventName,
+        payload: fixture(eventName),
+        issues: fixture('issues-backlog'),
+      });
+
+      assert.deepEqual(state.labels.map(change => change.issue), [7, 9]);
+      assert.deepEqual(labelsOf(state, 9), ['metaphore', 'python', 'published']);
+      assert.deepEqual(labelsOf(state, 10), ['metaphore', 'golang']);
+      assert.deepEqual(JSON.parse(await readFile(client, MANIFEST_PATH)).map(entry => entry.issue).sort(), [7, 9]);
+      assert.match(summary, /2 of 3 story issue\(s\) published\./);
+      assert.match(summary, /<a href="https:\/\/github\.com\/StreetCommunityProgrammer\/metaphore\/issues\/10">#10<\/a>/);
+    });
+  }
+
+  it('stops at the backfill limit', async () => {
+    const { state } = await simulate({
+      eventName: 'workflow_dispatch',
+      payload: fixture('workflow_dispatch'),
+      issues: fixture('issues-backlog'),
+      inputs: { 'backfill-limit': '1' },
+    });
+
+    assert.equal(state.commits.length, 1);
+    assert.deepEqual(labelsOf(state, 9), ['metaphore', 'python']);
+  });
+});
+
+describe('dry runs', () => {
+  it('records the writes instead of making them', async () => {
+    const { state, outputs, summary } = await simulate({
+      eventName: 'issues',
+      payload: fixture('issues-closed'),
+      inputs: { 'dry-run': 'true' },
+    });
+
+    assert.equal(outputs.published, 'true');
+    assert.equal(state.commits.length, 0);
+    assert.equal(state.labels.length, 0);
+    assert.match(summary, /Metaphor action dry run/);
+    assert.match(summary, new RegExp(`write ${STORY_PATH}`));
+  });
+});
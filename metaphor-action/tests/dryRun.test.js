@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { createRecorder } = require('../scripts/utils/dryRun');
+const { commitFiles, createBranch } = require('../scripts/utils/git');
+
+describe('createRecorder', () => {
+  it('records writes, lets reads through and reads created branches back', async () => {
+    const fake = createFakeOctokit({ files: { 'old.md': 'Old' }, issues: [{ number: 7 }] });
+    const { client, writes } = createRecorder(fake.client);
+
+    assert.equal((await client.rest.issues.get({ issue_number: 7 })).data.number, 7);
+    assert.equal(await createBranch({ client, owner: 'owner', repo: 'repo', branch: 'metaphor/story', from: 'main' }), true);
+    await commitFiles({
+      client,
+      owner: 'owner',
+      repo: 'repo',
+      branch: 'metaphor/story',
+      message: 'docs: story',
+      files: [{ path: 'story.md', content: 'Störy' }, { path: 'image.png', content: Buffer.from([0x00, 0xff]) }, { path: 'old.md', delete: true }],
+    });
+    await client.rest.issues.addLabels({ issue_number: 7, labels: ['published'] });
+    await client.graphql('mutation ($id: ID!) { enablePullRequestAutoMerge(input: { pullRequestId: $id }) { clientMutationId } }', { id: 'PR_1' });
+
+    assert.deepEqual(writes.map(write => write.description.split('\n')[0]), [
+      'create branch metaphor/story',
+      'write story.md:',
+      'write image.png (2 bytes)',
+      'delete old.md',
+      'commit "docs: story"',
+      'move heads/metaphor/story to the new commit',
+      'add labels published to #7',
+      'run GraphQL mutation enablePullRequestAutoMerge with {"id":"PR_1"}',
+    ]);
+    assert.deepEqual(writes.filter(write => write.path).map(write => [write.path, write.content]), [
+      ['story.md', 'Störy'],
+      ['image.png', null],
+      ['old.md', undefined],
+    ]);
+    assert.equal(fake.state.commits.length + fake.state.labels.length + fake.state.mutations.length, 0);
+    assert.equal(fake.state.branches.has('metaphor/story'), false);
+  });
+});
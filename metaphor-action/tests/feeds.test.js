@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderFeeds, siteUrl, storyUrl, validateStoryUrl } = require('../scripts/utils/feeds');
+
+const entry = { title: 'Pointers & <references>', slug: 'pointers', author: 'alice', category: 'cpp', date: '2023-05-04T10:00:00Z', issue: 7, path: 'stories/cpp/pointers.md' };
+
+describe('story URLs', () => {
+  it('links to the story file on GitHub without a story URL', () => {
+    assert.equal(storyUrl({ targetBranch: '' }, 'owner', 'repo', entry), 'https://github.com/owner/repo/blob/HEAD/stories/cpp/pointers.md');
+    assert.equal(siteUrl({ siteUrl: 'https://blog.example/' }, 'owner', 'repo'), 'https://blog.example');
+  });
+
+  it('fills in the story URL pattern', () => {
+    const config = { siteUrl: 'https://blog.example', storyUrl: '{site}/{category}/{slug}?issue={issue}' };
+    assert.equal(storyUrl(config, 'owner', 'repo', entry), 'https://blog.example/cpp/pointers?issue=7');
+    assert.throws(() => validateStoryUrl('{site}/{title}'), /Unknown placeholder\(s\) in story URL \{site\}\/\{title\}: title/);
+  });
+});
+
+describe('renderFeeds', () => {
+  it('renders escaped Atom and RSS feeds next to the manifest', () => {
+    const config = { storiesRoot: 'stories', siteUrl: 'https://blog.example', storyUrl: '{site}/{slug}' };
+    const [atom, rss] = renderFeeds(config, { owner: 'owner', repo: 'repo', path: 'stories/cpp/index.json', entries: [entry], category: { displayName: 'C++' } });
+
+    assert.equal(atom.path, 'stories/cpp/feed.xml');
+    assert.match(atom.content, /<title>repo - C\+\+ stories<\/title>/);
+    assert.match(atom.content, /<link rel="self" href="https:\/\/blog\.example\/cpp\/feed\.xml"\/>/);
+    assert.match(atom.content, /<title>Pointers &amp; &lt;references&gt;<\/title>/);
+    assert.match(atom.content, /<updated>2023-05-04T10:00:00\.000Z<\/updated>/);
+    assert.equal(rss.path, 'stories/cpp/rss.xml');
+    assert.match(rss.content, /<pubDate>Thu, 04 May 2023 10:00:00 GMT<\/pubDate>/);
+  });
+
+  it('is stable for an unchanged manifest', () => {
+    const config = { storiesRoot: 'stories', targetBranch: '' };
+    const render = () => renderFeeds(config, { owner: 'owner', repo: 'repo', path: 'stories/index.json', entries: [] });
+    assert.deepEqual(render(), render());
+    assert.match(render()[0].content, /<link rel="self" href="https:\/\/raw\.githubusercontent\.com\/owner\/repo\/HEAD\/stories\/feed\.xml"\/>/);
+  });
+});
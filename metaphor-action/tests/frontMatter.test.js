@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrontMatter, quoteYaml, stringifyFrontMatter } = require('../scripts/utils/frontMatter');
+
+describe('stringifyFrontMatter', () => {
+  it('double quotes strings, so titles with YAML syntax round trip', () => {
+    const data = { title: 'Pointers: "a" guide\n# not a comment', tags: ['c', 'memory'], issue: 7 };
+    const block = stringifyFrontMatter(data);
+    assert.match(block, /^---\ntitle: "Pointers: \\"a\\" guide/);
+    assert.deepEqual(parseFrontMatter(`${block}\n\nBody`), { data, content: '\nBody' });
+  });
+
+  it('writes dates as plain timestamps', () => {
+    const block = stringifyFrontMatter({ title: '2023-05-04', created_at: new Date('2023-05-04T10:00:00Z'), updated_at: new Date('2023-05-04T10:00:00.250Z') });
+    assert.equal(block, '---\ntitle: "2023-05-04"\ncreated_at: 2023-05-04T10:00:00Z\nupdated_at: 2023-05-04T10:00:00.250Z\n---');
+  });
+});
+
+describe('parseFrontMatter', () => {
+  it('returns the document unchanged when it has no front matter', () => {
+    assert.deepEqual(parseFrontMatter('# Title\n'), { data: null, content: '# Title\n' });
+  });
+
+  it('accepts empty front matter and CRLF line endings', () => {
+    assert.deepEqual(parseFrontMatter('---\n---\nBody'), { data: {}, content: 'Body' });
+    assert.deepEqual(parseFrontMatter('---\r\nissue: 7\r\n---\r\nBody'), { data: { issue: 7 }, content: 'Body' });
+  });
+
+  it('rejects invalid YAML and non-mapping front matter', () => {
+    assert.throws(() => parseFrontMatter('---\ntitle: "open\n---\n'), /Front matter is not valid YAML/);
+    assert.throws(() => parseFrontMatter('---\n- a\n- b\n---\n'), /must be a mapping/);
+  });
+});
+
+describe('quoteYaml', () => {
+  it('quotes values as YAML double quoted scalars', () => {
+    assert.equal(quoteYaml('It\'s "quoted": yes'), '"It\'s \\"quoted\\": yes"');
+    assert.equal(quoteYaml(7), '"7"');
+  });
+});
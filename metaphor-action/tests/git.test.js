@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { branchExists, commitFiles, createBranch } = require('../scripts/utils/git');
+const { readFile } = require('./helpers');
+
+describe('commitFiles', () => {
+  it('writes, copies and deletes files in a single commit on the default branch', async () => {
+    const { client, state } = createFakeOctokit({ files: { 'old.md': 'Old', 'image.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]) } });
+    const image = await client.rest.repos.getContent({ path: 'image.png' });
+
+    const commit = await commitFiles({
+      client,
+      owner: 'owner',
+      repo: 'repo',
+      message: 'docs: update',
+      files: [
+        { path: 'story.md', content: 'Ünïcödé 🦀 story' },
+        { path: 'copy.png', sha: image.data.sha },
+        { path: 'binary.bin', content: Buffer.from([0x00, 0xc3, 0x28, 0xff]) },
+        { path: 'old.md', delete: true },
+      ],
+    });
+
+    assert.equal(commit.branch, 'main');
+    assert.equal(state.branches.get('main'), commit.sha);
+    assert.equal(state.commits.length, 1);
+    assert.equal(await readFile(client, 'story.md'), 'Ünïcödé 🦀 story');
+    assert.equal(await readFile(client, 'old.md'), null);
+    const copy = await client.rest.repos.getContent({ path: 'copy.png' });
+    assert.deepEqual(Buffer.from(copy.data.content, 'base64'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]));
+    // Buffers are committed as they are, not re-encoded as UTF-8
+    assert.deepEqual(state.commits[0].changes.find(change => change.path === 'binary.bin').content, Buffer.from([0x00, 0xc3, 0x28, 0xff]));
+  });
+
+  it('commits to the given branch', async () => {
+    const { client, state } = createFakeOctokit();
+    await createBranch({ client, owner: 'owner', repo: 'repo', branch: 'stories', from: 'main' });
+    const main = state.branches.get('main');
+
+    await commitFiles({ client, owner: 'owner', repo: 'repo', branch: 'stories', message: 'docs: story', files: [{ path: 'story.md', content: 'Story' }] });
+
+    assert.equal(state.branches.get('main'), main);
+    assert.equal(await readFile(client, 'story.md', 'stories'), 'Story');
+  });
+});
+
+describe('branches', () => {
+  it('creates a branch once and tells whether it exists', async () => {
+    const { client } = createFakeOctokit();
+    const options = { client, owner: 'owner', repo: 'repo', branch: 'metaphor/story' };
+
+    assert.equal(await branchExists(options), false);
+    assert.equal(await createBranch({ ...options, from: 'main' }), true);
+    assert.equal(await createBranch({ ...options, from: 'main' }), false);
+    assert.equal(await branchExists(options), true);
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { readFiles } = require('../simulator/simulate');
+
+const FIXTURES = path.join(__dirname, '..', 'simulator', 'fixtures');
+
+/**
+ * Reads a fixture payload of `simulator/fixtures`. Every call returns a fresh copy, so tests can change it.
+ * @function fixture
+ * @param {string} name - The name of the fixture, without `.json`.
+ * @returns {Object} The payload.
+ */
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Reads the seed repository of `simulator/fixtures/repository`, holding the published story of issue #7.
+ * @function seedFiles
+ * @returns {Object} Maps repository paths to file contents.
+ */
+function seedFiles() {
+  return readFiles(path.join(FIXTURES, 'repository'));
+}
+
+/**
+ * Reads a file of the fake repository through the contents API, the way the action reads it back.
+ * @async
+ * @function readFile
+ * @param {Object} client - The fake Octokit client.
+ * @param {string} file - The path of the file.
+ * @param {string} [ref] - The branch to read from, defaults to the default branch.
+ * @returns {Promise<string|null>} A Promise that resolves with the decoded content, or null when there is no such file.
+ */
+async function readFile(client, file, ref) {
+  try {
+    const response = await client.rest.repos.getContent({ owner: 'owner', repo: 'repo', path: file, ref });
+    return Buffer.from(response.data.content, 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists the label names of an issue of the fake repository.
+ * @function labelsOf
+ * @param {Object} state - The state of the fake Octokit.
+ * @param {number} number - The number of the issue.
+ * @returns {string[]} The label names.
+ */
+function labelsOf(state, number) {
+  return state.issues.get(number).labels.map(label => label.name);
+}
+
+module.exports = {
+  fixture,
+  labelsOf,
+  readFile,
+  seedFiles,
+};
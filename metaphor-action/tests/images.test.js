@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { downloadImage, findImageUrls } = require('../scripts/utils/images');
+
+describe('findImageUrls', () => {
+  it('finds the images uploaded to GitHub, once each', () => {
+    const markdown = [
+      '![a](https://user-images.githubusercontent.com/1/a.png)',
+      '![b]( <https://github.com/user-attachments/assets/b> "Title")',
+      '<img width="200" src="https://private-user-images.githubusercontent.com/1/c.png?jwt=token">',
+      '![again](https://user-images.githubusercontent.com/1/a.png)',
+      '![elsewhere](https://example.com/d.png)',
+    ].join('\n');
+
+    assert.deepEqual(findImageUrls(markdown), [
+      'https://user-images.githubusercontent.com/1/a.png',
+      'https://github.com/user-attachments/assets/b',
+      'https://private-user-images.githubusercontent.com/1/c.png?jwt=token',
+    ]);
+  });
+});
+
+describe('downloadImage', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  let server;
+  let url;
+  let sent;
+
+  before(async () => {
+    server = http.createServer((request, response) => {
+      sent = 0;
+      if (request.url === '/missing') {
+        response.writeHead(404).end();
+      } else if (request.url === '/text') {
+        response.writeHead(200, { 'content-type': 'text/html' }).end('<html>');
+      } else if (request.url === '/large') {
+        response.writeHead(200, { 'content-type': 'image/png', 'content-length': 1024 * 1024 }).end();
+      } else if (request.url === '/chunked') {
+        // No content-length: the limit has to be enforced while reading
+        response.writeHead(200, { 'content-type': 'image/png' });
+        const timer = setInterval(() => {
+          if (response.destroyed || sent >= 1024 * 1024) {
+            clearInterval(timer);
+            response.end();
+            return;
+          }
+          sent += 1024;
+          response.write(Buffer.alloc(1024));
+        }, 1);
+      } else {
+        response.writeHead(200, { 'content-type': 'image/png; charset=binary' }).end(png);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('downloads allowed images', async () => {
+    assert.deepEqual(await downloadImage(`${url}/image.png`, { maxSize: 1024, types: ['image/png'] }), { content: png, type: 'image/png' });
+  });
+
+  it('rejects failed downloads and disallowed types', async () => {
+    await assert.rejects(downloadImage(`${url}/missing`, { maxSize: 1024, types: ['image/png'] }), /download failed with HTTP 404/);
+    await assert.rejects(downloadImage(`${url}/text`, { maxSize: 1024, types: ['image/png'] }), /text\/html is not an allowed image type \(image\/png\)/);
+  });
+
+  it('rejects images announced larger than the limit', async () => {
+    await assert.rejects(downloadImage(`${url}/large`, { maxSize: 1024, types: ['image/png'] }), /1048576 bytes exceeds the 1024 bytes limit/);
+  });
+
+  it('stops streaming images once they grow past the limit', async () => {
+    await assert.rejects(downloadImage(`${url}/chunked`, { maxSize: 4096, types: ['image/png'] }), /the image exceeds the 4096 bytes limit/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(sent < 64 * 1024, `the server sent ${sent} bytes`);
+  });
+});
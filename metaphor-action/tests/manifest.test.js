@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { commitFiles, createBranch } = require('../scripts/utils/git');
+const { manifestEntry, manifestPath, readManifest, updateManifests } = require('../scripts/utils/manifest');
+
+const rust = { name: 'rust', directory: 'rust' };
+const python = { name: 'python', directory: 'lang/python' };
+const config = { storiesRoot: 'stories', targetBranch: '', feeds: false, categories: [rust, python] };
+
+/**
+ * Builds a manifest entry.
+ * @param {number} issue - The number of the issue of the story.
+ * @param {string} category - The name of the category.
+ * @param {string} date - The date of the story.
+ * @returns {Object} The entry.
+ */
+const entry = (issue, category, date) => ({ title: `Story ${issue}`, slug: `story-${issue}`, author: 'alice', category, date, issue, path: `stories/${category}/story-${issue}.md` });
+
+describe('manifestEntry', () => {
+  it('prefers the front matter of the story over the issue', () => {
+    const issueData = { number: 7, title: 'Issue title', created_at: '2023-05-04T10:00:00Z', user: { login: 'alice' } };
+    const document = '---\ntitle: "Story title"\nauthor: "bob"\n---\nStory';
+    assert.deepEqual(manifestEntry({ issueData, category: rust, path: 'stories/rust/story.md', slug: 'story', document }), {
+      title: 'Story title',
+      slug: 'story',
+      author: 'bob',
+      category: 'rust',
+      date: '2023-05-04T10:00:00Z',
+      issue: 7,
+      path: 'stories/rust/story.md',
+    });
+    assert.equal(manifestPath(config, python), 'stories/lang/python/index.json');
+  });
+});
+
+describe('updateManifests', () => {
+  it('adds entries newest first and regenerates the category manifest', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/index.json': JSON.stringify([entry(3, 'rust', '2023-01-01')]) } });
+    const files = await updateManifests(client, { owner: 'owner', repo: 'repo', config, issue: 7, entry: entry(7, 'rust', '2023-05-04') });
+
+    assert.deepEqual(files.map(file => file.path), ['stories/index.json', 'stories/rust/index.json']);
+    assert.deepEqual(JSON.parse(files[0].content).map(item => item.issue), [7, 3]);
+    assert.deepEqual(JSON.parse(files[1].content).map(item => item.issue), [7, 3]);
+  });
+
+  it('moves an entry between categories and removes entries', async () => {
+    const manifest = JSON.stringify([entry(7, 'rust', '2023-05-04'), entry(3, 'rust', '2023-01-01')]);
+    const { client } = createFakeOctokit({ files: { 'stories/index.json': manifest } });
+
+    const moved = await updateManifests(client, { owner: 'owner', repo: 'repo', config, issue: 7, entry: entry(7, 'python', '2023-05-04') });
+    assert.deepEqual(moved.map(file => file.path), ['stories/index.json', 'stories/rust/index.json', 'stories/lang/python/index.json']);
+    assert.deepEqual(JSON.parse(moved[1].content).map(item => item.issue), [3]);
+
+    const removed = await updateManifests(client, { owner: 'owner', repo: 'repo', config, issue: 7, entry: null });
+    assert.deepEqual(JSON.parse(removed[0].content).map(item => item.issue), [3]);
+  });
+
+  it('leaves out up-to-date files and adds feeds when enabled', async () => {
+    const content = `${JSON.stringify([entry(7, 'rust', '2023-05-04')], undefined, 2)}\n`;
+    const { client } = createFakeOctokit({ files: { 'stories/index.json': content, 'stories/rust/index.json': content } });
+
+    assert.deepEqual(await updateManifests(client, { owner: 'owner', repo: 'repo', config, issue: 7, entry: entry(7, 'rust', '2023-05-04') }), []);
+    const files = await updateManifests(client, { owner: 'owner', repo: 'repo', config: { ...config, feeds: true }, issue: 7, entry: entry(7, 'rust', '2023-05-04') });
+    assert.deepEqual(files.map(file => file.path), ['stories/feed.xml', 'stories/rss.xml', 'stories/rust/feed.xml', 'stories/rust/rss.xml']);
+  });
+});
+
+describe('readManifest', () => {
+  it('rebuilds manifests that are not JSON arrays', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/index.json': '{ "issue": 7 }' } });
+    assert.deepEqual(await readManifest(client, { owner: 'owner', repo: 'repo', config }), []);
+  });
+
+  it('reads from the given branch', async () => {
+    const { client } = createFakeOctokit();
+    await createBranch({ client, owner: 'owner', repo: 'repo', branch: 'metaphor/story', from: 'main' });
+    await commitFiles({ client, owner: 'owner', repo: 'repo', branch: 'metaphor/story', message: 'docs: story', files: [{ path: 'stories/index.json', content: JSON.stringify([entry(7, 'rust', '2023-05-04')]) }] });
+
+    assert.deepEqual(await readManifest(client, { owner: 'owner', repo: 'repo', config }), []);
+    assert.deepEqual((await readManifest(client, { owner: 'owner', repo: 'repo', config, ref: 'metaphor/story' })).map(item => item.issue), [7]);
+  });
+});
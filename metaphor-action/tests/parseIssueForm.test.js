@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const parseIssueForm = require('../scripts/utils/parseIssueForm');
+
+describe('parseIssueForm', () => {
+  it('maps issue form sections to front matter fields and the story', () => {
+    const body = [
+      '### Title', '', 'Ownership', '',
+      '### Tags', '', 'rust, ownership\n- borrowing', '',
+      '### Cover Image', '', '![cover](https://example.com/cover.png "Cover")', '',
+      '### Difficulty', '', '_No response_', '',
+      '### Story', '', 'A library.', '',
+      '### Epilogue', '', 'Return the book.',
+    ].join('\r\n');
+
+    assert.deepEqual(parseIssueForm(body), {
+      fields: { title: 'Ownership', tags: ['rust', 'ownership', 'borrowing'], cover_image: 'https://example.com/cover.png' },
+      content: 'A library.\n\n### Epilogue\n\nReturn the book.',
+    });
+  });
+
+  it('uses custom form fields', () => {
+    const body = '### Level:\n\nhard\n\n### Text\n\nA library.';
+    assert.deepEqual(parseIssueForm(body, { level: 'difficulty', text: 'content' }), {
+      fields: { difficulty: 'hard' },
+      content: 'A library.',
+    });
+  });
+
+  it('keeps unknown sections when the form has no story section', () => {
+    assert.deepEqual(parseIssueForm('### Title\n\nOwnership\n\n### Notes\n\nSome notes', { title: 'title' }), {
+      fields: { title: 'Ownership' },
+      content: '### Notes\n\nSome notes',
+    });
+  });
+
+  it('returns bodies without sections as the story', () => {
+    assert.deepEqual(parseIssueForm('Just a story'), { fields: {}, content: 'Just a story' });
+    assert.deepEqual(parseIssueForm(null), { fields: {}, content: '' });
+  });
+
+  it('returns plain markdown stories with headings unchanged', () => {
+    const story = 'Once upon a time…\n\n### Story\n\nThe moral…';
+    assert.deepEqual(parseIssueForm(story), { fields: {}, content: story });
+
+    const tagged = 'A library.\n\n### Tags\n\nEvery book has a label.';
+    assert.deepEqual(parseIssueForm(tagged), { fields: {}, content: tagged });
+    assert.deepEqual(parseIssueForm('Intro\n\n### Notes\n\nSome notes', { title: 'title' }), {
+      fields: {},
+      content: 'Intro\n\n### Notes\n\nSome notes',
+    });
+  });
+});
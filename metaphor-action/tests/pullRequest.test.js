@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const publishPullRequest = require('../scripts/utils/pullRequest');
+
+describe('publishPullRequest', () => {
+  const options = client => ({
+    client,
+    owner: 'owner',
+    repo: 'repo',
+    base: 'main',
+    branch: 'metaphor/story',
+    message: 'docs(generate): new story',
+    files: [{ path: 'story.md', content: 'Story' }],
+    title: 'New story',
+    body: `Publishes a story.\n\n${publishPullRequest.issueMarker(7)}`,
+  });
+
+  it('commits to the branch and opens a pull request, reusing both on the next run', async () => {
+    const { client, state } = createFakeOctokit();
+
+    const first = await publishPullRequest(options(client));
+    const second = await publishPullRequest({ ...options(client), files: [{ path: 'story.md', content: 'Story, edited' }], autoMerge: true });
+
+    assert.equal(state.pulls.length, 1);
+    assert.equal(first.number, second.number);
+    assert.equal(first.url, state.pulls[0].html_url);
+    assert.deepEqual(state.commits.map(commit => commit.parents[0]), [state.commits[0].parents[0], first.sha]);
+    assert.equal(state.branches.get('metaphor/story'), second.sha);
+    assert.deepEqual(state.mutations.map(mutation => mutation.variables), [{ pullRequestId: state.pulls[0].node_id }]);
+  });
+});
+
+describe('issue markers', () => {
+  it('reads the issue back from the description', () => {
+    assert.equal(publishPullRequest.markedIssue(`Story\n\n${publishPullRequest.issueMarker(42)}`), 42);
+    assert.equal(publishPullRequest.markedIssue('Fixes #42'), null);
+    assert.equal(publishPullRequest.markedIssue(null), null);
+  });
+});
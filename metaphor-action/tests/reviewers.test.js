@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const resolveReviewers = require('../scripts/utils/reviewers');
+
+describe('resolveReviewers', () => {
+  it('expands teams and lowercases logins', async () => {
+    const { client } = createFakeOctokit({ teams: { 'org/maintainers': ['Alice', 'bob'] } });
+    assert.deepEqual(await resolveReviewers(client, ['DarkTerminal', '@org/maintainers', 'bob']), ['darkterminal', 'alice', 'bob']);
+  });
+
+  it('skips teams that cannot be listed', async () => {
+    const { client } = createFakeOctokit();
+    assert.deepEqual(await resolveReviewers(client, ['org/secret', 'alice']), ['alice']);
+  });
+});
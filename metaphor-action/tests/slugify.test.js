@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const slugify = require('../scripts/utils/slugify');
+
+describe('slugify', () => {
+  it('turns Latin titles into slugs', () => {
+    assert.equal(slugify('Ownership explained with a library'), 'ownership-explained-with-a-library');
+    assert.equal(slugify('  --Hello,   World--  '), 'hello-world');
+    assert.equal(slugify('Ça déménage à Zürich'), 'ca-demenage-a-zurich');
+  });
+
+  it('transliterates Japanese, Arabic and Cyrillic titles', () => {
+    assert.equal(slugify('所有権の説明'), 'suo-you-quan-noshuo-ming');
+    assert.equal(slugify('الملكية في رست'), 'lmlky-fy-rst');
+    assert.equal(slugify('Владение в Rust'), 'vladenie-v-rust');
+  });
+
+  it('falls back when nothing is left of the title', () => {
+    assert.equal(slugify('!!! ???', { fallback: 'issue-42' }), 'issue-42');
+    assert.equal(slugify('🦀🦀', { fallback: 'issue-42' }), 'issue-42');
+    assert.equal(slugify('', { fallback: 'issue-42' }), 'issue-42');
+    assert.equal(slugify('Rust', { fallback: 'issue-42' }), 'rust');
+  });
+
+  it('truncates to the maximum length without a trailing dash', () => {
+    const title = 'Ownership explained with a library';
+    for (let maxLength = 1; maxLength <= title.length; maxLength++) {
+      const slug = slugify(title, { maxLength });
+      assert.ok(slug.length <= maxLength, `${slug} is longer than ${maxLength}`);
+      assert.doesNotMatch(slug, /^-|-$/, `${slug} starts or ends with a dash`);
+    }
+    assert.equal(slugify(title, { maxLength: 20 }), 'ownership-explained');
+    assert.equal(slugify(title, { maxLength: 10 }), 'ownership');
+    assert.equal(slugify('abcdefghijklmnopqrstuvwxyz', { maxLength: 12 }), 'abcdefghijkl');
+    assert.equal(slugify(title, { maxLength: 0 }), 'ownership-explained-with-a-library');
+  });
+
+  it('appends a stable hash of the original title', () => {
+    assert.equal(slugify('所有権の説明', { hash: true }), 'suo-you-quan-noshuo-ming-d8e801c7');
+    assert.equal(slugify('所有権の説明', { hash: true }), slugify('所有権の説明', { hash: true }));
+    // Titles that slugify alike keep distinct slugs
+    assert.notEqual(slugify('Ownership explained with a library', { hash: true }), slugify('Ownership explained with a library!', { hash: true }));
+  });
+
+  it('keeps the hash when truncating', () => {
+    const slug = slugify('Ownership explained with a library', { maxLength: 24, hash: true });
+    assert.equal(slug, 'ownership-a8d47e8d');
+    assert.ok(slug.length <= 24);
+    assert.equal(slugify('Ownership explained with a library', { hash: true }).slice(-8), 'a8d47e8d');
+  });
+
+  it('keeps slugs with a hash within the maximum length', () => {
+    const title = 'Ownership explained with a library';
+    for (let maxLength = 10; maxLength <= title.length + 9; maxLength++) {
+      const slug = slugify(title, { maxLength, hash: true });
+      assert.ok(slug.length <= maxLength, `${slug} is longer than ${maxLength}`);
+      assert.match(slug, /^[a-z0-9][a-z0-9-]*-a8d47e8d$/);
+    }
+    assert.equal(slugify('x', { maxLength: 10, hash: true }), 'x-11f6ad8e');
+  });
+
+  it('rejects maximum lengths leaving no room for the hash', () => {
+    for (const maxLength of [1, 5, 9]) {
+      assert.throws(() => slugify('x', { maxLength, hash: true }), /need a maximum length of at least 10, got/);
+    }
+  });
+});
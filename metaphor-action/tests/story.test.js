@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { loadTemplate } = require('../scripts/utils/template');
+const { parseFrontMatter } = require('../scripts/utils/frontMatter');
+const { isStoryOfIssue, prepareStory, renderStory } = require('../scripts/utils/story');
+const { fixture } = require('./helpers');
+
+const category = { name: 'rust', displayName: 'Rust' };
+const reviewer = { login: 'darkterminal' };
+
+describe('renderStory', () => {
+  it('renders the front matter and the story, without the author block', async () => {
+    const template = await loadTemplate(null, null, '');
+    const { document, authorProfile } = renderStory(fixture('issues-closed').issue, category, { template, reviewer, profileInFrontMatter: true });
+    const { data, content } = parseFrontMatter(document);
+
+    assert.deepEqual(authorProfile, { display_name: 'Alice', website: 'https://alice.dev' });
+    assert.equal(data.title, 'Ownership explained with a library');
+    assert.equal(data.language, 'rust');
+    assert.deepEqual(data.tags, ['rust', 'ownership']);
+    assert.equal(data.author, 'alice');
+    assert.deepEqual(data.author_profile, authorProfile);
+    assert.equal(data.issue, 7);
+    assert.equal(content.trim(), 'Borrowing a book is like borrowing a reference: you can read it, but it has to go back.');
+  });
+
+  it('never lets form answers override the fields the action writes', () => {
+    const issue = {
+      ...fixture('issues-closed').issue,
+      body: '### Author\n\nmallory\n\n### Issue\n\n99\n\n### Language\n\nphp\n\n### Title\n\nA better title\n\n### Story\n\nText',
+    };
+    const formFields = { author: 'author', issue: 'issue', language: 'language', title: 'title', story: 'content' };
+    const { document } = renderStory(issue, category, { template: '{{{frontMatter}}}\n\n{{form.author}} {{{content}}}', reviewer, formFields });
+    const { data, content } = parseFrontMatter(document);
+
+    assert.deepEqual([data.author, data.issue, data.language, data.title], ['alice', 7, 'rust', 'A better title']);
+    // Templates still receive every answer
+    assert.equal(content.trim(), 'mallory Text');
+  });
+
+  it('rejects templates producing invalid front matter', () => {
+    assert.throws(
+      () => renderStory(fixture('issues-closed').issue, category, { template: '---\ntitle: {{title}}: broken\n---\n', reviewer }),
+      /The story generated for issue #7 is invalid, check the story template/,
+    );
+  });
+
+  it('rejects templates leaving out the issue number', () => {
+    const issue = fixture('issues-closed').issue;
+    for (const template of ['---\ntitle: {{title}}\nauthor: {{author.login}}\n---\n\n{{{content}}}', '{{{content}}}', '---\nissue: 8\n---\n']) {
+      assert.throws(
+        () => renderStory(issue, category, { template, reviewer }),
+        /The story generated for issue #7 has no `issue: 7` front matter field, check the story template/,
+      );
+    }
+    const { document } = renderStory(issue, category, { template: '---\ntitle: {{title}}\nissue: {{issue.number}}\n---\n', reviewer });
+    assert.equal(document, '---\ntitle: Ownership explained with a library\nissue: 7\n---\n');
+  });
+});
+
+describe('prepareStory', () => {
+  it('returns the author profile file in file mode', async () => {
+    const { client } = createFakeOctokit();
+    const config = { authorProfile: 'file', enrichAuthor: false, storiesRoot: 'stories', targetBranch: '' };
+    const { document, files } = await prepareStory(client, {
+      owner: 'owner',
+      repo: 'repo',
+      config,
+      issueData: fixture('issues-closed').issue,
+      category,
+      reviewer,
+      template: '{{{frontMatter}}}',
+    });
+
+    assert.equal(parseFrontMatter(document).data.author_profile, undefined);
+    assert.deepEqual(files.map(file => file.path), ['stories/authors/alice.json']);
+    assert.deepEqual(JSON.parse(files[0].content), { login: 'alice', display_name: 'Alice', website: 'https://alice.dev' });
+  });
+});
+
+describe('isStoryOfIssue', () => {
+  it('compares the issue field of the front matter', () => {
+    assert.equal(isStoryOfIssue('---\nissue: 7\n---\n', 7), true);
+    assert.equal(isStoryOfIssue('---\nissue: "7"\n---\n', 7), true);
+    assert.equal(isStoryOfIssue('---\nissue: 8\n---\n', 7), false);
+    assert.equal(isStoryOfIssue('No front matter', 7), false);
+    assert.equal(isStoryOfIssue('---\n: [\n---\n', 7), false);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createFakeOctokit = require('../simulator/fakeOctokit');
+const { findStoryFile, formatStoryPath, resolveStoryPath, storyBranch, validatePathPattern } = require('../scripts/utils/storyPath');
+
+const config = {
+  storiesRoot: 'stories',
+  pathPattern: '{root}/{category}/{slug}.md',
+  slugCollision: 'issue-number',
+  slugMaxLength: 80,
+  slugHash: false,
+  publishMode: 'commit',
+  targetBranch: '',
+};
+const category = { name: 'rust', directory: 'rust' };
+const issueData = { number: 7, title: 'Ownership', created_at: '2023-05-04T10:00:00Z', user: { login: 'Alice' } };
+
+/**
+ * Builds a story file of an issue.
+ * @param {number} issue - The number of the issue.
+ * @returns {string} The story document.
+ */
+const storyOf = issue => `---\nissue: ${issue}\n---\nStory`;
+
+describe('validatePathPattern', () => {
+  it('requires {slug} and known placeholders', () => {
+    assert.equal(validatePathPattern('{root}/{yyyy}/{mm}/{slug}.md'), '{root}/{yyyy}/{mm}/{slug}.md');
+    assert.throws(() => validatePathPattern('{root}/{category}.md'), /must contain \{slug\}/);
+    assert.throws(() => validatePathPattern('{root}/{lang}/{slug}.md'), /Unknown placeholder\(s\) in path pattern .*: lang/);
+  });
+});
+
+describe('formatStoryPath', () => {
+  it('fills in the placeholders', () => {
+    const pattern = { ...config, pathPattern: '{root}/{yyyy}/{mm}/{dd}/{author}-{issue}-{slug}.md' };
+    assert.equal(formatStoryPath(pattern, category, issueData, 'ownership'), 'stories/2023/05/04/alice-7-ownership.md');
+    assert.equal(formatStoryPath({ ...config, storiesRoot: '' }, category, issueData, 'ownership'), 'rust/ownership.md');
+  });
+});
+
+describe('resolveStoryPath', () => {
+  it('uses the slug of the title when the path is free', async () => {
+    const { client } = createFakeOctokit();
+    assert.deepEqual(await resolveStoryPath(client, { owner: 'owner', repo: 'repo', config, category, issueData }), {
+      path: 'stories/rust/ownership.md',
+      slug: 'ownership',
+      sha: undefined,
+      ref: undefined,
+    });
+  });
+
+  it('reuses the path of the story of the same issue', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/rust/ownership.md': storyOf(7) } });
+    const resolved = await resolveStoryPath(client, { owner: 'owner', repo: 'repo', config, category, issueData });
+    assert.equal(resolved.path, 'stories/rust/ownership.md');
+    assert.ok(resolved.sha);
+  });
+
+  it('applies the collision strategy', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/rust/ownership.md': storyOf(3) } });
+    const resolve = slugCollision => resolveStoryPath(client, { owner: 'owner', repo: 'repo', config: { ...config, slugCollision }, category, issueData });
+
+    assert.equal((await resolve('issue-number')).path, 'stories/rust/ownership-7.md');
+    assert.equal((await resolve('author')).path, 'stories/rust/ownership-alice.md');
+    assert.equal((await resolve('date')).path, 'stories/rust/2023-05-04-ownership.md');
+    await assert.rejects(resolve('fail'), /stories\/rust\/ownership\.md already holds another story \(slug collision strategy: fail\)/);
+  });
+
+  it('checks the story branch in pull-request mode', async () => {
+    const { client } = createFakeOctokit();
+    await client.rest.git.createRef({ ref: `refs/heads/${storyBranch('ownership')}`, sha: (await client.rest.git.getRef({ ref: 'heads/main' })).data.object.sha });
+    const resolved = await resolveStoryPath(client, { owner: 'owner', repo: 'repo', config: { ...config, publishMode: 'pull-request' }, category, issueData });
+    assert.equal(resolved.ref, 'metaphor/ownership');
+  });
+});
+
+describe('findStoryFile', () => {
+  it('finds the story at the path of the title', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/rust/ownership-7.md': storyOf(7) } });
+    const story = await findStoryFile(client, { owner: 'owner', repo: 'repo', config, category, issueData });
+    assert.equal(story.path, 'stories/rust/ownership-7.md');
+    assert.equal(story.content, storyOf(7));
+  });
+
+  it('finds the story of a renamed issue through the manifest or its directory', async () => {
+    const renamed = { ...issueData, title: 'Borrowing' };
+    const manifest = JSON.stringify([{ issue: 7, slug: 'ownership', path: 'stories/rust/ownership.md' }]);
+
+    const withManifest = createFakeOctokit({ files: { 'stories/index.json': manifest, 'stories/rust/ownership.md': storyOf(7) } });
+    assert.equal((await findStoryFile(withManifest.client, { owner: 'owner', repo: 'repo', config, category, issueData: renamed })).slug, 'ownership');
+
+    const withoutManifest = createFakeOctokit({ files: { 'stories/rust/other.md': storyOf(3), 'stories/rust/ownership.md': storyOf(7) } });
+    const story = await findStoryFile(withoutManifest.client, { owner: 'owner', repo: 'repo', config, category, issueData: renamed });
+    assert.deepEqual([story.path, story.slug], ['stories/rust/ownership.md', 'ownership']);
+  });
+
+  it('returns null when the issue has no story', async () => {
+    const { client } = createFakeOctokit({ files: { 'stories/rust/ownership.md': storyOf(3) } });
+    assert.equal(await findStoryFile(client, { owner: 'owner', repo: 'repo', config, category, issueData }), null);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { writeDryRunSummary } = require('../scripts/utils/dryRun');
+const { escapeHtml, fileLink, writeStorySummary } = require('../scripts/utils/summary');
+const { prepareEnvironment } = require('../simulator/simulate');
+
+describe('job summaries', () => {
+  // `core.summary` keeps the first summary file it finds, so the failing write goes first
+  it('only warns when the summary cannot be written', async () => {
+    delete process.env.GITHUB_STEP_SUMMARY;
+    await writeStorySummary({ heading: 'Story published', decisions: [] });
+    await writeDryRunSummary([]);
+  });
+
+  it('writes the decisions, rows and front matter of a story run', async () => {
+    const { summaryFile } = prepareEnvironment({});
+    await writeStorySummary({
+      heading: 'Story <published>',
+      issue: { number: 7, title: 'A & B', html_url: 'https://github.com/owner/repo/issues/7' },
+      decisions: [{ passed: true, text: 'The issue is closed' }, { passed: false, text: 'No <reviewer>' }],
+      rows: [['File', fileLink('owner', 'repo', 'metaphor/a b', 'stories/a b.md')]],
+      frontMatter: { title: 'A <b>' },
+    });
+    const summary = fs.readFileSync(summaryFile, 'utf8');
+
+    assert.match(summary, /<h2>Story &lt;published&gt;<\/h2>/);
+    assert.match(summary, /<a href="https:\/\/github\.com\/owner\/repo\/issues\/7">#7<\/a> A &amp; B/);
+    assert.match(summary, /✅ The issue is closed<br>❌ No &lt;reviewer&gt;/);
+    assert.match(summary, /<a href="https:\/\/github\.com\/owner\/repo\/blob\/metaphor\/a%20b\/stories\/a%20b\.md">stories\/a b\.md<\/a>/);
+    assert.match(summary, /title: "A &lt;b&gt;"/);
+  });
+
+  it('lists the writes of a dry run', async () => {
+    const { summaryFile } = prepareEnvironment({});
+    await writeDryRunSummary([{ description: 'write story.md:\n<b>Story</b>', path: 'story.md', content: '<b>Story</b>' }, { description: 'add labels published to #7' }]);
+    const summary = fs.readFileSync(summaryFile, 'utf8');
+
+    assert.match(summary, /<li>write story\.md<\/li><li>add labels published to #7<\/li>/);
+    assert.match(summary, /<h3>story\.md<\/h3>/);
+    assert.match(summary, /&lt;b&gt;Story&lt;\/b&gt;/);
+    assert.equal(escapeHtml(1 < 2), 'true');
+  });
+});